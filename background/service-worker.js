@@ -1,56 +1,84 @@
 // Background service worker for handling alarms and notifications
 
-const STORAGE_KEY = "reminders";
+importScripts(
+  "../shared/utils.js",
+  "../shared/timezone.js",
+  "../shared/recurrence.js",
+  "../shared/tags.js",
+  "../shared/priority.js",
+  "../shared/storage.js",
+  "../shared/alarms.js",
+  "../shared/history.js",
+  "../shared/settings.js"
+);
 
-/**
- * Get all reminders from storage
- * @returns {Promise<Array>} Array of reminder objects
- */
-async function getAllReminders() {
-  try {
-    const result = await chrome.storage.local.get(STORAGE_KEY);
-    const reminders = result[STORAGE_KEY];
-    return Array.isArray(reminders) ? reminders : [];
-  } catch (error) {
-    console.error("Error getting reminders:", error);
-    return [];
-  }
-}
+const NOTIFICATION_ACTIONS_KEY = "notificationActions";
+const LAST_NOTIFICATION_KEY = "lastNotification";
+const MAX_NOTIFICATION_BUTTONS = 2;
+const MAINTENANCE_ALARM = "daily-maintenance";
+const TIME_ZONE_ALARM = "time-zone-check";
+const TIME_ZONE_CHECK_MINUTES = 15;
+const CONTEXT_MENU_ID = "remind-me";
+const CONTEXT_MENU_PRESET_PREFIX = "remind-me-preset-";
+const CONTEXT_MENU_PICK_TIME = "remind-me-pick-time";
+const CONTEXT_MENU_CONTEXTS = ["page", "selection", "link"];
+const PICK_TIME_WINDOW_SIZE = { width: 420, height: 560 };
+const BADGE_ALARM = "badge-refresh";
+const BADGE_COUNTDOWN_MINUTES = 60;
+const BADGE_COLORS = { overdue: "#da3633", countdown: "#0969da" };
+const BADGE_TOOLTIP_COUNT = 3;
+const BADGE_TOOLTIP_TEXT_LENGTH = 60;
+
+// Serializes context menu rebuilds so two of them never create the same item twice
+let contextMenuBuild = Promise.resolve();
 
 /**
- * Update reminder status
- * @param {string} id - Reminder ID
- * @param {string} status - New status ("active", "completed", "dismissed")
+ * Move a recurring reminder to its next occurrence and re-arm its alarm
+ * Completes the reminder once its series has ended
+ * @param {Object} reminder - Reminder object that just fired
  */
-async function updateReminderStatus(id, status) {
-  try {
-    const reminders = await getAllReminders();
-    const reminder = reminders.find((r) => String(r.id) === String(id));
-    
-    if (reminder) {
-      reminder.status = status;
-      const index = reminders.findIndex((r) => String(r.id) === String(id));
-      if (index >= 0) {
-        reminders[index] = reminder;
-        await chrome.storage.local.set({ [STORAGE_KEY]: reminders });
-      }
-    }
-  } catch (error) {
-    console.error("Error updating reminder status:", error);
+async function advanceRecurringReminder(reminder) {
+  const next = getNextOccurrence(reminder);
+  
+  if (!next) {
+    await updateReminderStatus(reminder.id, "completed");
+    return;
+  }
+  
+  const changes = {
+    scheduledTime: next.scheduledTime,
+    occurrence: next.occurrence,
+    status: "active",
+    alarmName: createAlarmName({ id: reminder.id, scheduledTime: next.scheduledTime }),
+  };
+  
+  const updated = await updateReminder(reminder.id, changes);
+  if (updated) {
+    await scheduleReminder(updated);
   }
 }
 
 /**
  * Parse alarm name to extract reminder ID and scheduled time
- * Format: "reminder-{id}-{scheduledTime}"
+ * Format: "reminder-{id}-{scheduledTime}", or "reminder-{id}-{scheduledTime}-pre{minutes}" for pre-alerts
  * @param {string} alarmName - Alarm name
- * @returns {Object|null} Object with reminderId and scheduledTime, or null if invalid
+ * @returns {Object|null} Object with reminderId, scheduledTime and preAlertMinutes (null for the reminder itself), or null if invalid
  */
 function parseAlarmName(alarmName) {
   if (!alarmName || !alarmName.startsWith("reminder-")) {
     return null;
   }
   
+  let preAlertMinutes = null;
+  const preAlertMatch = /-pre(\d+)$/.exec(alarmName);
+  if (preAlertMatch) {
+    preAlertMinutes = parseInt(preAlertMatch[1], 10);
+    if (!preAlertMinutes) {
+      return null;
+    }
+    alarmName = alarmName.slice(0, preAlertMatch.index);
+  }
+  
   const lastDashIndex = alarmName.lastIndexOf("-");
   if (lastDashIndex === -1 || lastDashIndex <= 8) {
     return null;
@@ -62,12 +90,12 @@ function parseAlarmName(alarmName) {
     return null;
   }
   
-  const reminderId = String(alarmName.substring(8, lastDashIndex)).trim();
+  const reminderId = String(alarmName.substring("reminder-".length, lastDashIndex)).trim();
   if (!reminderId || reminderId.length === 0) {
     return null;
   }
   
-  return { reminderId, scheduledTime };
+  return { reminderId, scheduledTime, preAlertMinutes };
 }
 
 /**
@@ -93,12 +121,117 @@ function findReminder(reminders, reminderId, scheduledTime) {
   return reminder;
 }
 
+/**
+ * Get the button actions for a reminder notification
+ * Chrome shows at most two buttons, so snooze options come first and "Mark done" fills any free slot
+ * @param {Object} settings - User settings
+ * @returns {Array<Object>} Actions ({ type: "snooze", minutes } or { type: "done" })
+ */
+function getNotificationActions(settings) {
+  const actions = settings.snoozeMinutes.map((minutes) => ({ type: "snooze", minutes }));
+  actions.push({ type: "done" });
+  return actions.slice(0, MAX_NOTIFICATION_BUTTONS);
+}
+
+/**
+ * Get the button title for a notification action
+ * @param {Object} action - Notification action
+ * @returns {string} Button title
+ */
+function getActionTitle(action) {
+  return action.type === "snooze" ? `Snooze ${formatDuration(action.minutes)}` : "Mark done";
+}
+
+/**
+ * Remember which actions a notification's buttons map to
+ * Kept in session storage because the service worker can be stopped while the notification is shown
+ * @param {string} notificationId - Notification ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Array<Object>} actions - Button actions in display order
+ */
+async function rememberNotificationActions(notificationId, reminderId, actions) {
+  const result = await chrome.storage.session.get(NOTIFICATION_ACTIONS_KEY);
+  const entries = result[NOTIFICATION_ACTIONS_KEY] || {};
+  entries[notificationId] = { reminderId, actions };
+  await chrome.storage.session.set({ [NOTIFICATION_ACTIONS_KEY]: entries });
+}
+
+/**
+ * Get and forget the actions stored for a notification
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object|null>} Stored entry ({ reminderId, actions }) or null
+ */
+async function takeNotificationActions(notificationId) {
+  const result = await chrome.storage.session.get(NOTIFICATION_ACTIONS_KEY);
+  const entries = result[NOTIFICATION_ACTIONS_KEY] || {};
+  const entry = entries[notificationId] || null;
+  
+  if (entry) {
+    delete entries[notificationId];
+    await chrome.storage.session.set({ [NOTIFICATION_ACTIONS_KEY]: entries });
+  }
+  
+  return entry;
+}
+
+/**
+ * Remember the last reminder notification for the snooze keyboard command
+ * @param {string} notificationId - Notification ID
+ * @param {string} reminderId - Reminder ID
+ */
+async function rememberLastNotification(notificationId, reminderId) {
+  await chrome.storage.session.set({ [LAST_NOTIFICATION_KEY]: { notificationId, reminderId } });
+}
+
+/**
+ * Forget the last reminder notification if it belongs to a reminder that was already handled
+ * @param {string} reminderId - Reminder ID
+ */
+async function forgetLastNotification(reminderId) {
+  const result = await chrome.storage.session.get(LAST_NOTIFICATION_KEY);
+  const last = result[LAST_NOTIFICATION_KEY];
+  if (last && String(last.reminderId) === String(reminderId)) {
+    await chrome.storage.session.remove(LAST_NOTIFICATION_KEY);
+  }
+}
+
+/**
+ * Get the text for a pre-alert, e.g. "⏰ in 10 minutes: Standup"
+ * Alarms can fire a few seconds late, so the time left is counted from when the pre-alert was due
+ * @param {Object} reminder - Reminder object
+ * @param {number} minutes - Minutes before the scheduled time
+ * @returns {string} Notification text
+ */
+function getPreAlertText(reminder, minutes) {
+  const scheduledTime = Number(reminder.scheduledTime);
+  const alertTime = scheduledTime - minutes * 60 * 1000;
+  const now = Date.now() - alertTime < 60 * 1000 ? alertTime : Date.now();
+  return `⏰ ${getRelativeTime(scheduledTime, now)}: ${reminder.text}`;
+}
+
 /**
  * Show notification for a reminder
+ * The title, notification priority and whether it stays on screen follow the reminder's priority.
+ * Pre-alerts replace each other and are replaced by the reminder itself; one-time reminders
+ * can be marked done from a pre-alert. Only the reminder itself counts as the last notification
+ * for the snooze command, since snoozing a pre-alert would move the reminder earlier.
  * @param {Object} reminder - Reminder object
+ * @param {number|null} [preAlertMinutes] - Minutes before the scheduled time, for a pre-alert
  */
-async function showNotification(reminder) {
+async function showNotification(reminder, preAlertMinutes = null) {
   const notificationId = `reminder-${reminder.id}`;
+  const level = getPriorityLevel(reminder);
+  const settings = await getSettings();
+  const title = formatNotificationTitle(settings.notificationTitleTemplate, reminder);
+  let actions = getNotificationActions(settings);
+  let text = reminder.text;
+  if (preAlertMinutes) {
+    actions = reminder.recurrence ? [] : [{ type: "done" }];
+    text = getPreAlertText(reminder, preAlertMinutes);
+  }
+  const buttons = actions.map((action) => ({ title: getActionTitle(action) }));
+  const message = reminder.notes ? `${text}\n${reminder.notes}` : text;
+  const contextMessage = reminder.url ? `🔗 ${getUrlLabel(reminder.url)} · click to open` : "";
   
   try {
     const permission = await chrome.notifications.getPermissionLevel();
@@ -112,33 +245,516 @@ async function showNotification(reminder) {
     await chrome.notifications.create(notificationId, {
       type: "basic",
       iconUrl: iconUrl,
-      title: "NotifyBuddy Reminder",
-      message: reminder.text,
-      priority: 2,
+      title,
+      message,
+      contextMessage,
+      priority: level.notificationPriority,
+      requireInteraction: level.requireInteraction,
+      buttons,
     });
+    await rememberNotificationActions(notificationId, reminder.id, actions);
+    if (!preAlertMinutes) {
+      await rememberLastNotification(notificationId, reminder.id);
+    }
   } catch (error) {
     console.error("Failed to show notification:", error.message);
     // Try fallback without icon
     try {
       await chrome.notifications.create(`fallback-${notificationId}`, {
         type: "basic",
-        title: "NotifyBuddy Reminder",
-        message: reminder.text,
-        priority: 2,
+        title,
+        message,
+        contextMessage,
+        priority: level.notificationPriority,
+        requireInteraction: level.requireInteraction,
+        buttons,
       });
+      await rememberNotificationActions(`fallback-${notificationId}`, reminder.id, actions);
+      if (!preAlertMinutes) {
+        await rememberLastNotification(`fallback-${notificationId}`, reminder.id);
+      }
     } catch (fallbackError) {
       console.error("Fallback notification failed:", fallbackError.message);
     }
   }
 }
 
-// Extension installation handler
-chrome.runtime.onInstalled.addListener(() => {
-  // Extension installed - no action needed
-});
+/**
+ * Snooze a reminder for a number of minutes
+ * Follows snoozeReminderFor, like the snooze buttons in the dashboard and popup
+ * @param {string} reminderId - Reminder ID
+ * @param {number} minutes - Snooze duration in minutes
+ */
+async function snoozeReminder(reminderId, minutes) {
+  const { before, after } = await updateRemindersBatch([reminderId], (reminder) => snoozeReminderFor(reminder, minutes));
+  await syncReminderAlarms(before, after);
+}
 
-// Alarm event handler
-chrome.alarms.onAlarm.addListener(async (alarm) => {
+/**
+ * Mark a reminder's last ring as answered, so it no longer counts as overdue
+ * @param {string} reminderId - Reminder ID
+ */
+async function acknowledgeReminder(reminderId) {
+  const reminder = await getReminder(reminderId);
+  if (reminder && reminder.firedAt) {
+    await updateReminder(reminder.id, { firedAt: null });
+  }
+}
+
+/**
+ * Mark a reminder as done from its notification
+ * Clears any pending snooze and answers the ring; one-shot reminders are completed
+ * @param {string} reminderId - Reminder ID
+ */
+async function markReminderDone(reminderId) {
+  const reminder = await getReminder(reminderId);
+  if (!reminder) return;
+  
+  if (reminder.snoozedUntil) {
+    await cancelReminderById(reminder.id, reminder.snoozedUntil);
+  }
+  if (reminder.snoozedUntil || reminder.firedAt) {
+    await updateReminder(reminder.id, { snoozedUntil: null, firedAt: null });
+  }
+  
+  if (!reminder.recurrence && reminder.status === "active") {
+    await cancelReminderById(reminder.id, reminder.scheduledTime);
+    await updateReminderStatus(reminder.id, "completed");
+  }
+}
+
+/**
+ * Snooze the reminder behind the last reminder notification for the first snooze duration
+ * The notification is cleared and forgotten, so pressing the shortcut again doesn't snooze twice
+ */
+async function snoozeLastNotification() {
+  const result = await chrome.storage.session.get(LAST_NOTIFICATION_KEY);
+  const last = result[LAST_NOTIFICATION_KEY];
+  if (!last) return;
+  
+  const settings = await getSettings();
+  await snoozeReminder(last.reminderId, settings.snoozeMinutes[0]);
+  await chrome.notifications.clear(last.notificationId);
+  await takeNotificationActions(last.notificationId);
+  await chrome.storage.session.remove(LAST_NOTIFICATION_KEY);
+}
+
+/**
+ * Clear every notification the extension is showing and forget their button actions
+ * Their rings count as answered; the reminders are otherwise left as they are
+ */
+async function dismissAllNotifications() {
+  const shown = await chrome.notifications.getAll();
+  const result = await chrome.storage.session.get(NOTIFICATION_ACTIONS_KEY);
+  const entries = result[NOTIFICATION_ACTIONS_KEY] || {};
+  
+  await Promise.all(Object.keys(shown).map((notificationId) => chrome.notifications.clear(notificationId)));
+  await chrome.storage.session.remove(NOTIFICATION_ACTIONS_KEY);
+  for (const reminderId of new Set(Object.values(entries).map((entry) => entry.reminderId))) {
+    await acknowledgeReminder(reminderId);
+  }
+}
+
+/**
+ * Build the "Remind me about this" context menu: one item per quick-pick preset, then "Pick time…"
+ * Called on install and whenever the presets change
+ * @returns {Promise<void>} Resolves once the menu is built
+ */
+function buildContextMenus() {
+  const create = (properties) => new Promise((resolve, reject) => {
+    chrome.contextMenus.create({ contexts: CONTEXT_MENU_CONTEXTS, ...properties }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+  
+  contextMenuBuild = contextMenuBuild
+    .catch(() => {})
+    .then(async () => {
+      const settings = await getSettings();
+      await chrome.contextMenus.removeAll();
+      await create({ id: CONTEXT_MENU_ID, title: "Remind me about this" });
+      
+      for (const [index, preset] of settings.quickPickPresets.entries()) {
+        await create({ id: `${CONTEXT_MENU_PRESET_PREFIX}${index}`, parentId: CONTEXT_MENU_ID, title: describePreset(preset) });
+      }
+      if (settings.quickPickPresets.length > 0) {
+        await create({ id: `${CONTEXT_MENU_ID}-separator`, parentId: CONTEXT_MENU_ID, type: "separator" });
+      }
+      await create({ id: CONTEXT_MENU_PICK_TIME, parentId: CONTEXT_MENU_ID, title: "Pick time…" });
+    });
+  return contextMenuBuild;
+}
+
+/**
+ * Get the text and link for a reminder created from the context menu
+ * The text is the selection, else the clicked link's site, else the page title.
+ * The link is the clicked link, else the page (pages that aren't http or https get no link).
+ * @param {Object} info - Context menu click info
+ * @param {Object} [tab] - Tab the menu was opened in
+ * @returns {Object} { text, url }
+ */
+function getContextMenuDraft(info, tab) {
+  let url = null;
+  try {
+    url = normalizeReminderUrl(info.linkUrl || info.pageUrl);
+  } catch (error) {
+    url = null;
+  }
+  
+  const selection = String(info.selectionText || "").replace(/\s+/g, " ").trim();
+  const linkLabel = info.linkUrl && url ? getUrlLabel(url) : "";
+  const text = selection || linkLabel || (tab && tab.title) || (url ? getUrlLabel(url) : "") || "Reminder";
+  return { text, url };
+}
+
+/**
+ * Create a reminder from the context menu at a quick-pick preset and confirm it with a notification
+ * @param {Object} draft - Text and link from getContextMenuDraft
+ * @param {string} preset - Quick-pick preset expression
+ * @throws {Error} If the preset time has passed or the reminder can't be saved
+ */
+async function createReminderFromMenu(draft, preset) {
+  const settings = await getSettings();
+  const scheduledTime = resolvePresetTime(preset);
+  if (scheduledTime <= Date.now()) {
+    throw new Error(`"${preset}" has already passed`);
+  }
+  
+  const reminder = createReminderObject(draft.text, scheduledTime, {
+    url: draft.url,
+    preAlerts: settings.defaultPreAlerts,
+    timeMode: settings.defaultTimeMode,
+  });
+  await saveReminder(reminder);
+  await scheduleReminder(reminder);
+  
+  await chrome.notifications.create(`reminder-set-${reminder.id}`, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("icons/icon48.png"),
+    title: `Reminder set for ${formatDateTime(scheduledTime)}`,
+    message: reminder.text,
+    priority: 0,
+  });
+}
+
+/**
+ * Open the popup form in a small window with the text and link filled in
+ * @param {Object} draft - Text and link from getContextMenuDraft
+ */
+async function openPickTimeWindow(draft) {
+  const params = new URLSearchParams({ text: draft.text, window: "1" });
+  if (draft.url) {
+    params.set("url", draft.url);
+  }
+  
+  await chrome.windows.create({
+    url: chrome.runtime.getURL(`popup/popup.html?${params}`),
+    type: "popup",
+    ...PICK_TIME_WINDOW_SIZE,
+  });
+}
+
+/**
+ * Get when an active reminder next rings: its scheduled time, or an earlier pending snooze
+ * @param {Object} reminder - Reminder object
+ * @returns {number} Timestamp in milliseconds
+ */
+function getNextRingTime(reminder) {
+  const scheduledTime = Number(reminder.scheduledTime);
+  const snoozedUntil = Number(reminder.snoozedUntil) || Infinity;
+  return Math.min(scheduledTime, snoozedUntil);
+}
+
+/**
+ * Work out the toolbar badge for a badge mode
+ * "overdue" counts reminders that rang without an answer (see getOverdueSince); "countdown" shows the minutes until the next
+ * reminder once it's less than an hour away. refreshAt says when the badge has to be worked out again
+ * without any storage change or reminder alarm (the countdown ticking, or entering the last hour).
+ * @param {Array} reminders - Array of reminder objects
+ * @param {string} mode - Badge mode from settings
+ * @param {number} [now] - Current time
+ * @returns {Object} { text, color, refreshAt } (refreshAt is null if nothing needs refreshing)
+ */
+function getBadgeState(reminders, mode, now = Date.now()) {
+  const active = reminders.filter((reminder) => reminder.status === "active");
+  
+  if (mode === "overdue") {
+    const overdue = reminders.filter((reminder) => getOverdueSince(reminder, now) !== null).length;
+    return { text: overdue > 0 ? String(overdue) : "", color: BADGE_COLORS.overdue, refreshAt: null };
+  }
+  
+  if (mode === "countdown") {
+    const next = Math.min(...active.map(getNextRingTime).filter((time) => time > now));
+    if (!Number.isFinite(next)) {
+      return { text: "", color: BADGE_COLORS.countdown, refreshAt: null };
+    }
+    
+    const windowStart = next - BADGE_COUNTDOWN_MINUTES * 60 * 1000;
+    if (now < windowStart) {
+      return { text: "", color: BADGE_COLORS.countdown, refreshAt: windowStart };
+    }
+    
+    const minutesLeft = Math.ceil((next - now) / (60 * 1000));
+    return { text: `${minutesLeft}m`, color: BADGE_COLORS.countdown, refreshAt: next - (minutesLeft - 1) * 60 * 1000 };
+  }
+  
+  return { text: "", color: BADGE_COLORS.overdue, refreshAt: null };
+}
+
+/**
+ * Build the toolbar tooltip listing the next reminders
+ * @param {Array} reminders - Array of reminder objects
+ * @param {number} [now] - Current time
+ * @returns {string} Tooltip text
+ */
+function getBadgeTitle(reminders, now = Date.now()) {
+  const upcoming = reminders
+    .filter((reminder) => reminder.status === "active" && getNextRingTime(reminder) > now)
+    .sort((a, b) => getNextRingTime(a) - getNextRingTime(b))
+    .slice(0, BADGE_TOOLTIP_COUNT);
+  
+  if (upcoming.length === 0) {
+    return "NotifyBuddy\nNo upcoming reminders";
+  }
+  
+  const lines = upcoming.map((reminder) => {
+    const text = reminder.text.length > BADGE_TOOLTIP_TEXT_LENGTH
+      ? `${reminder.text.slice(0, BADGE_TOOLTIP_TEXT_LENGTH - 1)}…`
+      : reminder.text;
+    return `${formatDateTime(getNextRingTime(reminder))} · ${text}`;
+  });
+  return ["NotifyBuddy - next up:", ...lines].join("\n");
+}
+
+/**
+ * Update the toolbar badge and tooltip, and the alarm that keeps a countdown ticking
+ */
+async function updateBadge() {
+  const [reminders, settings] = await Promise.all([getAllReminders(), getSettings()]);
+  const state = getBadgeState(reminders, settings.badgeMode);
+  
+  await chrome.action.setBadgeText({ text: state.text });
+  await chrome.action.setBadgeBackgroundColor({ color: state.color });
+  await chrome.action.setTitle({ title: getBadgeTitle(reminders) });
+  
+  if (state.refreshAt) {
+    await chrome.alarms.create(BADGE_ALARM, { when: state.refreshAt });
+  } else {
+    await chrome.alarms.clear(BADGE_ALARM);
+  }
+}
+
+/**
+ * Open a link, focusing an existing tab that already shows it
+ * @param {string} url - Absolute URL
+ */
+async function openUrlInTab(url) {
+  const stripHash = (value) => String(value || "").split("#")[0];
+  const tabs = await chrome.tabs.query({});
+  const existing = tabs.find((tab) => tab.url === url) || tabs.find((tab) => stripHash(tab.url) === stripHash(url));
+  
+  if (existing) {
+    await chrome.tabs.update(existing.id, { active: true });
+    await chrome.windows.update(existing.windowId, { focused: true });
+    return;
+  }
+  
+  await chrome.tabs.create({ url });
+}
+
+/**
+ * Show one grouped notification for reminders missed while the browser was closed
+ * @param {Array} missed - Missed reminder objects
+ * @param {string} action - Missed reminder action from settings
+ */
+async function showMissedNotification(missed, action) {
+  const outcomes = {
+    fire: "They were due while the browser was closed.",
+    skip: "They were due while the browser was closed and have been skipped.",
+    reschedule: "They were due while the browser was closed and have been rescheduled.",
+  };
+  
+  try {
+    await chrome.notifications.create("missed-reminders", {
+      type: "list",
+      iconUrl: chrome.runtime.getURL("icons/icon48.png"),
+      title: `You missed ${missed.length} reminder${missed.length > 1 ? "s" : ""}`,
+      message: outcomes[action] || outcomes.fire,
+      items: missed.map((reminder) => ({
+        title: formatDateTime(reminder.scheduledTime),
+        message: reminder.text,
+      })),
+      priority: 2,
+    });
+  } catch (error) {
+    console.error("Failed to show missed reminders notification:", error.message);
+  }
+}
+
+/**
+ * Apply the missed reminder setting to reminders whose time passed without an alarm
+ * @param {Array} missed - Missed reminder objects
+ * @param {Object} settings - User settings
+ */
+async function handleMissedReminders(missed, settings) {
+  const action = settings.missedReminderAction;
+  
+  // A single late reminder gets its regular notification so it can still be snoozed
+  if (action === "fire" && missed.length === 1) {
+    await showNotification(missed[0]);
+  } else {
+    await showMissedNotification(missed, action);
+  }
+  
+  for (const reminder of missed) {
+    if (reminder.recurrence) {
+      // Repeating reminders pick up again at their next occurrence
+      await advanceRecurringReminder(reminder);
+    } else if (action === "skip") {
+      await updateReminderStatus(reminder.id, "dismissed");
+    } else if (action === "reschedule") {
+      const scheduledTime = Date.now() + settings.snoozeMinutes[0] * 60 * 1000;
+      const updated = await updateReminder(reminder.id, {
+        scheduledTime,
+        alarmName: createAlarmName({ id: reminder.id, scheduledTime }),
+      });
+      if (updated) {
+        await scheduleReminder(updated);
+      }
+    } else {
+      await updateReminderStatus(reminder.id, "completed");
+    }
+  }
+  
+  if (action === "fire" && missed.length === 1) {
+    await updateReminder(missed[0].id, { firedAt: Date.now() });
+  }
+}
+
+/**
+ * Move floating reminders to the same wall-clock time in the current system time zone
+ * Their alarms move with them; a time that has now passed is left to reconcileAlarms
+ * @returns {Promise<Array>} Reminders that were moved
+ */
+async function rezoneFloatingReminders() {
+  const timeZone = getLocalTimeZone();
+  const stale = (await getAllReminders()).filter((reminder) => isOutOfTimeZone(reminder, timeZone));
+  if (stale.length === 0) return [];
+  
+  const { before, after } = await updateRemindersBatch(stale.map((reminder) => reminder.id), (reminder) => rezoneReminder(reminder, timeZone));
+  await syncReminderAlarms(before, after);
+  return after;
+}
+
+/**
+ * Reconcile stored reminders with registered alarms
+ * Moves floating reminders if the system time zone changed, re-creates alarms that went
+ * missing (e.g., after an update) and handles active reminders whose time passed while
+ * the browser was closed. Past-due reminders that still have an alarm are left to the alarm handler.
+ */
+async function reconcileAlarms() {
+  await rezoneFloatingReminders();
+  
+  const [reminders, alarms, settings] = await Promise.all([
+    getAllReminders(),
+    chrome.alarms.getAll(),
+    getSettings(),
+  ]);
+  const alarmNames = new Set(alarms.map((alarm) => alarm.name));
+  const now = Date.now();
+  const missed = [];
+  
+  for (const reminder of reminders) {
+    if (reminder.status !== "active") continue;
+    
+    if (reminder.snoozedUntil && !alarmNames.has(createAlarmName({ id: reminder.id, scheduledTime: reminder.snoozedUntil }))) {
+      if (Number(reminder.snoozedUntil) > now) {
+        await scheduleReminder({ id: reminder.id, scheduledTime: reminder.snoozedUntil });
+      } else {
+        await updateReminder(reminder.id, { snoozedUntil: null });
+      }
+    }
+    
+    // Pre-alerts that passed while the browser was closed are dropped; the reminder itself still fires
+    for (const preAlert of getPreAlertAlarms(reminder)) {
+      if (preAlert.when > now && !alarmNames.has(preAlert.name)) {
+        await chrome.alarms.create(preAlert.name, { when: preAlert.when });
+      }
+    }
+    
+    if (alarmNames.has(createAlarmName(reminder))) continue;
+    
+    if (Number(reminder.scheduledTime) > now) {
+      await scheduleReminder(reminder);
+    } else {
+      missed.push(reminder);
+    }
+  }
+  
+  if (missed.length > 0) {
+    await handleMissedReminders(missed, settings);
+  }
+}
+
+/**
+ * Empty trashed reminders past the retention period and archive old completed reminders
+ */
+async function runMaintenance() {
+  const settings = await getSettings();
+  await purgeExpiredTrash(settings.trashRetentionDays);
+  await archiveCompletedReminders(settings.autoArchiveDays);
+}
+
+/**
+ * Run maintenance now, and once a day from then on
+ * Also starts the time zone check, so floating reminders move soon after the system zone changes
+ */
+async function scheduleMaintenance() {
+  await runMaintenance();
+  
+  if (!(await chrome.alarms.get(MAINTENANCE_ALARM))) {
+    await chrome.alarms.create(MAINTENANCE_ALARM, { periodInMinutes: 24 * 60 });
+  }
+  if (!(await chrome.alarms.get(TIME_ZONE_ALARM))) {
+    await chrome.alarms.create(TIME_ZONE_ALARM, { periodInMinutes: TIME_ZONE_CHECK_MINUTES });
+  }
+}
+
+/**
+ * Handle an alarm: maintenance, badge refresh, time zone check, a pre-alert or a reminder coming due
+ * @param {Object} alarm - Alarm that fired
+ */
+async function handleAlarm(alarm) {
+  if (alarm.name === BADGE_ALARM) {
+    return;
+  }
+  
+  if (alarm.name === MAINTENANCE_ALARM) {
+    try {
+      await runMaintenance();
+    } catch (error) {
+      console.error("Error running maintenance:", error.message);
+    }
+    return;
+  }
+  
+  if (alarm.name === TIME_ZONE_ALARM) {
+    try {
+      // Floating reminders whose new local time has already passed are handled like missed ones
+      const moved = await rezoneFloatingReminders();
+      if (moved.length > 0) {
+        await reconcileAlarms();
+      }
+    } catch (error) {
+      console.error("Error checking the time zone:", error.message);
+    }
+    return;
+  }
+  
   if (!alarm.name || !alarm.name.startsWith("reminder-")) {
     return;
   }
@@ -150,7 +766,7 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
       return;
     }
     
-    const { reminderId, scheduledTime } = parsed;
+    const { reminderId, scheduledTime, preAlertMinutes } = parsed;
     const reminders = await getAllReminders();
     
     if (reminders.length === 0) {
@@ -168,19 +784,210 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
       return;
     }
     
+    const isSnoozeAlarm = reminder.snoozedUntil && Math.abs(Number(reminder.snoozedUntil) - scheduledTime) < 1000;
+    
+    // A leftover alarm for a time the reminder no longer has (edited, undone or moved on) must not fire it
+    if (!preAlertMinutes && !isSnoozeAlarm && Number(reminder.scheduledTime) !== scheduledTime) {
+      return;
+    }
+    
+    // The system time zone changed since this floating reminder was scheduled: move it (and any
+    // others) to the local wall-clock time instead of ringing at the old moment. A snooze is a
+    // duration, so it still rings now
+    if (isOutOfTimeZone(reminder) && !isSnoozeAlarm) {
+      await reconcileAlarms();
+      return;
+    }
+    
+    // Pre-alerts only warn ahead of time; the reminder completes at its own alarm
+    if (preAlertMinutes) {
+      if (Number(reminder.scheduledTime) === scheduledTime) {
+        await showNotification(reminder, preAlertMinutes);
+      }
+      return;
+    }
+    
+    // Snoozed occurrence of a recurring reminder - the series itself is already scheduled
+    if (isSnoozeAlarm) {
+      await updateReminder(reminder.id, { snoozedUntil: null, firedAt: Date.now() });
+      await showNotification(reminder);
+      return;
+    }
+    
     await showNotification(reminder);
-    await updateReminderStatus(reminder.id, "completed");
+    
+    if (reminder.recurrence) {
+      await advanceRecurringReminder(reminder);
+    } else {
+      await updateReminderStatus(reminder.id, "completed");
+    }
+    // It counts as overdue until the notification is answered
+    await updateReminder(reminder.id, { firedAt: Date.now() });
   } catch (error) {
     console.error("Error handling alarm:", error.message);
   }
+}
+
+// Extension installation/update handler - migrate stored data, then re-arm alarms (they may not survive an update)
+chrome.runtime.onInstalled.addListener(async (details) => {
+  try {
+    if (details.reason === "install" || details.reason === "update") {
+      await runMigrations();
+    }
+    await reconcileAlarms();
+    await scheduleMaintenance();
+    await buildContextMenus();
+    await updateBadge();
+  } catch (error) {
+    console.error("Error reconciling alarms on install:", error.message);
+  }
+});
+
+// Settings change handler - keep the context menu in line with the quick-pick presets
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== "local" || !changes[SETTINGS_KEY]) return;
+  
+  const before = mergeSettings(changes[SETTINGS_KEY].oldValue).quickPickPresets;
+  const after = mergeSettings(changes[SETTINGS_KEY].newValue).quickPickPresets;
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+  
+  try {
+    await buildContextMenus();
+  } catch (error) {
+    console.error("Error rebuilding context menu:", error.message);
+  }
+});
+
+// Browser startup handler - recover reminders missed while the browser was closed
+chrome.runtime.onStartup.addListener(async () => {
+  try {
+    await reconcileAlarms();
+    await scheduleMaintenance();
+    await updateBadge();
+  } catch (error) {
+    console.error("Error reconciling alarms on startup:", error.message);
+  }
+});
+
+// Storage change handler - keep the toolbar badge and tooltip current
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== "local" || !(changes[STORAGE_KEY] || changes[SETTINGS_KEY])) return;
+  
+  try {
+    await updateBadge();
+  } catch (error) {
+    console.error("Error updating badge:", error.message);
+  }
+});
+
+// Alarm event handler
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  // Every alarm can change what's overdue or next, so refresh the badge once it's handled
+  try {
+    await handleAlarm(alarm);
+  } finally {
+    await updateBadge().catch((error) => console.error("Error updating badge:", error.message));
+  }
 });
 
-// Notification click handler - open options page
-chrome.notifications.onClicked.addListener(() => {
-  chrome.runtime.openOptionsPage();
+// Notification click handler - open the reminder's link, or the options page
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  try {
+    const entry = await takeNotificationActions(notificationId);
+    const reminder = entry ? await getReminder(entry.reminderId) : null;
+    await chrome.notifications.clear(notificationId);
+    if (reminder) {
+      await acknowledgeReminder(reminder.id);
+    }
+    
+    if (reminder && reminder.url) {
+      await openUrlInTab(reminder.url);
+    } else {
+      await chrome.runtime.openOptionsPage();
+    }
+  } catch (error) {
+    console.error("Error handling notification click:", error);
+    chrome.runtime.openOptionsPage();
+  }
 });
 
-// Notification closed handler
-chrome.notifications.onClosed.addListener(() => {
-  // Notification closed - no cleanup needed
+// Notification button handler - snooze or mark done
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  try {
+    const entry = await takeNotificationActions(notificationId);
+    const action = entry && entry.actions[buttonIndex];
+    
+    if (!action) {
+      console.error("No action for notification button:", notificationId, buttonIndex);
+      return;
+    }
+    
+    if (action.type === "snooze") {
+      await snoozeReminder(entry.reminderId, action.minutes);
+    } else if (action.type === "done") {
+      await markReminderDone(entry.reminderId);
+    }
+    
+    await chrome.notifications.clear(notificationId);
+    await forgetLastNotification(entry.reminderId);
+  } catch (error) {
+    console.error("Error handling notification button:", error.message);
+  }
+});
+
+// Notification closed handler - forget its button actions; closing it answers the ring
+chrome.notifications.onClosed.addListener(async (notificationId, byUser) => {
+  try {
+    const entry = await takeNotificationActions(notificationId);
+    if (entry && byUser) {
+      await acknowledgeReminder(entry.reminderId);
+    }
+  } catch (error) {
+    console.error("Error cleaning up notification:", error.message);
+  }
+});
+
+// Keyboard command handler - "_execute_action" (quick add) opens the popup without reaching this listener
+chrome.commands.onCommand.addListener(async (command) => {
+  try {
+    if (command === "snooze-last-reminder") {
+      await snoozeLastNotification();
+    } else if (command === "dismiss-notifications") {
+      await dismissAllNotifications();
+    } else if (command === "open-dashboard") {
+      await chrome.runtime.openOptionsPage();
+    }
+  } catch (error) {
+    console.error("Error handling command:", error.message);
+  }
+});
+
+// Context menu handler - create the reminder at a preset, or open the form to pick a time
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const draft = getContextMenuDraft(info, tab);
+  
+  try {
+    if (info.menuItemId === CONTEXT_MENU_PICK_TIME) {
+      await openPickTimeWindow(draft);
+      return;
+    }
+    
+    if (String(info.menuItemId).startsWith(CONTEXT_MENU_PRESET_PREFIX)) {
+      const index = Number(String(info.menuItemId).slice(CONTEXT_MENU_PRESET_PREFIX.length));
+      const settings = await getSettings();
+      const preset = settings.quickPickPresets[index];
+      if (preset) {
+        await createReminderFromMenu(draft, preset);
+      }
+    }
+  } catch (error) {
+    console.error("Error creating reminder from context menu:", error);
+    await chrome.notifications.create(`reminder-error-${Date.now()}`, {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("icons/icon48.png"),
+      title: "Couldn't set the reminder",
+      message: error.message || "Please try again from the popup",
+      priority: 0,
+    });
+  }
 });
@@ -3,11 +3,41 @@
 let reminders = [];
 let filteredReminders = [];
 let editingId = null;
-let lastDismissedReminder = null;
-let undoTimeout = null;
 let currentSort = "scheduledTime-asc";
 let currentSearch = "";
+let currentQuery = null;
 let searchTimeout = null;
+let addFormQuickAdd = null;
+let pendingImport = null;
+let recentlyFiredIds = new Set();
+let selectedIds = new Set();
+let selectionAnchorId = null;
+let trash = [];
+let showArchived = false;
+let paletteMatches = [];
+let paletteIndex = 0;
+let overlayReturnFocus = null;
+let currentView = "list";
+let calendarMode = "week";
+let calendarDate = Date.now();
+let draggedReminderId = null;
+
+const FIRED_HIGHLIGHT_MS = 4000;
+const PALETTE_LIMIT = 30;
+const CALENDAR_MONTH_CELL_LIMIT = 3;
+const CALENDAR_SCROLL_HOUR = 7;
+const CALENDAR_MONTH_SLOT_HOUR = 9;
+
+// Sections of the grouped layout, in display order
+const REMINDER_GROUPS = [
+  { key: "overdue", label: "⚠️ Overdue" },
+  { key: "today", label: "Today" },
+  { key: "tomorrow", label: "Tomorrow" },
+  { key: "week", label: "This week" },
+  { key: "later", label: "Later" },
+  { key: "completed", label: "✓ Completed" },
+  { key: "dismissed", label: "⊘ Dismissed" },
+];
 
 const STATUS_BADGES = {
   active: { text: "Active", className: "badge-active", icon: "⏰", color: "#238636" },
@@ -29,9 +59,6 @@ function getStatusBadge(status) {
  */
 async function loadReminders() {
   const loadingDiv = document.getElementById("loading");
-  const emptyStateDiv = document.getElementById("empty-state");
-  const remindersListDiv = document.getElementById("reminders-list");
-  const controlsSection = document.getElementById("controls-section");
 
   try {
     // Reload reminders from storage
@@ -43,18 +70,7 @@ async function loadReminders() {
     }
     
     loadingDiv.style.display = "none";
-
-    if (reminders.length === 0) {
-      emptyStateDiv.style.display = "block";
-      remindersListDiv.style.display = "none";
-      if (controlsSection) controlsSection.style.display = "none";
-      // Update stats even when empty
-      updateStats();
-    } else {
-      emptyStateDiv.style.display = "none";
-      if (controlsSection) controlsSection.style.display = "flex";
-      applyFiltersAndSort();
-    }
+    showReminders();
   } catch (error) {
     console.error("Error loading reminders:", error);
     loadingDiv.textContent = "Unable to load reminders. Please refresh the page.";
@@ -64,45 +80,236 @@ async function loadReminders() {
   }
 }
 
+/**
+ * Show the current reminders, or the empty state when there are none
+ */
+function showReminders() {
+  const emptyStateDiv = document.getElementById("empty-state");
+  const remindersListDiv = document.getElementById("reminders-list");
+  const controlsSection = document.getElementById("controls-section");
+  
+  if (reminders.length === 0) {
+    emptyStateDiv.style.display = "block";
+    remindersListDiv.style.display = "none";
+    document.getElementById("calendar-view").style.display = "none";
+    if (controlsSection) controlsSection.style.display = "none";
+    filteredReminders = [];
+    // Update stats even when empty
+    renderTagSidebar();
+    updateStats();
+    updateBulkToolbar();
+  } else {
+    emptyStateDiv.style.display = "none";
+    if (controlsSection) controlsSection.style.display = "flex";
+    applyFiltersAndSort();
+  }
+}
+
+/**
+ * Find reminders that fired between two versions of the same reminder
+ * One-shot reminders fire into "completed"; recurring ones move on to a later occurrence
+ * @param {Map} previousById - Previous reminders by ID
+ * @param {Array} changed - Changed or added reminders
+ * @returns {Array<string>} IDs of reminders that just fired
+ */
+function getFiredReminderIds(previousById, changed) {
+  const now = Date.now();
+  return changed
+    .filter((reminder) => {
+      const previous = previousById.get(String(reminder.id));
+      if (!previous || previous.status !== "active") return false;
+      
+      const completedOnTime = reminder.status === "completed" && Number(previous.scheduledTime) <= now;
+      const advanced = Number(reminder.occurrence) > Number(previous.occurrence);
+      const snoozeFired = previous.snoozedUntil && !reminder.snoozedUntil && Number(previous.snoozedUntil) <= now;
+      return completedOnTime || advanced || snoozeFired;
+    })
+    .map((reminder) => String(reminder.id));
+}
+
+/**
+ * Apply reminder changes made elsewhere (popup, service worker or another tab)
+ * Only cards whose reminders changed are re-rendered; reminders that just fired are highlighted
+ * @param {Array} nextReminders - Stored reminder list after the change
+ */
+function handleRemindersChanged(nextReminders) {
+  const next = Array.isArray(nextReminders) ? nextReminders : [];
+  const previousById = new Map(reminders.map((r) => [String(r.id), r]));
+  const nextIds = new Set(next.map((r) => String(r.id)));
+  
+  const changed = next.filter((r) => JSON.stringify(previousById.get(String(r.id))) !== JSON.stringify(r));
+  const removedCount = [...previousById.keys()].filter((id) => !nextIds.has(id)).length;
+  
+  // Our own writes were already applied by loadReminders()
+  if (changed.length === 0 && removedCount === 0) return;
+  
+  const firedIds = getFiredReminderIds(previousById, changed);
+  firedIds.forEach((id) => recentlyFiredIds.add(id));
+  
+  if (editingId && !nextIds.has(String(editingId))) {
+    editingId = null;
+  }
+  
+  reminders = next;
+  showReminders();
+  
+  if (firedIds.length > 0) {
+    setTimeout(() => {
+      firedIds.forEach((id) => {
+        recentlyFiredIds.delete(id);
+        document.querySelector(`.reminder-item[data-id="${CSS.escape(id)}"]`)?.classList.remove("just-fired");
+      });
+    }, FIRED_HIGHLIGHT_MS);
+  }
+}
+
 /**
  * Filter reminders based on search query
+ * A query with a syntax error shows the error under the search box and keeps the previous results
  * @param {Array} remindersList - Array of reminders to filter
  * @param {string} searchQuery - Search query string
  * @returns {Array} Filtered reminders
  */
 function filterReminders(remindersList, searchQuery) {
-  if (!searchQuery || searchQuery.trim().length === 0) {
-    return remindersList;
+  try {
+    currentQuery = parseQuery(searchQuery, { weekStartsOn: currentSettings.weekStartsOn });
+    showSearchError(null);
+  } catch (error) {
+    showSearchError(error.message);
+  }
+  
+  return filterByQuery(remindersList, currentQuery);
+}
+
+/**
+ * Show or clear the search syntax error
+ * @param {string|null} message - Error message, or null to clear it
+ */
+function showSearchError(message) {
+  const searchInput = document.getElementById("search-input");
+  const searchError = document.getElementById("search-error");
+  
+  if (searchInput) {
+    searchInput.classList.toggle("invalid", Boolean(message));
+    searchInput.setAttribute("aria-invalid", message ? "true" : "false");
+  }
+  if (searchError) {
+    searchError.textContent = message || "";
+    searchError.style.display = message ? "block" : "none";
+  }
+}
+
+/**
+ * Put a query in the search box and re-apply filters
+ * @param {string} query - Search query, or empty string to clear the search
+ */
+function setSearch(query) {
+  const searchInput = document.getElementById("search-input");
+  const clearSearchButton = document.getElementById("clear-search");
+  
+  if (searchTimeout) {
+    clearTimeout(searchTimeout);
+  }
+  currentSearch = query;
+  if (searchInput) searchInput.value = currentSearch;
+  if (clearSearchButton) clearSearchButton.style.display = currentSearch ? "block" : "none";
+  applyFiltersAndSort();
+}
+
+/**
+ * Replace the tag filter in the search box and re-apply filters
+ * @param {string} tag - Tag to filter by, or empty string to clear the tag filter
+ */
+function setTagFilter(tag) {
+  const words = currentSearch.split(/\s+/).filter((word) => word.length > 0 && !word.toLowerCase().startsWith("tag:"));
+  
+  if (tag) {
+    words.push(`tag:${tag}`);
+  }
+  
+  setSearch(words.join(" "));
+}
+
+/**
+ * Render the tag sidebar with a count per tag
+ */
+function renderTagSidebar() {
+  const sidebar = document.getElementById("tag-sidebar");
+  if (!sidebar) return;
+  
+  const tagCounts = getTagCounts(reminders);
+  if (tagCounts.length === 0) {
+    sidebar.style.display = "none";
+    sidebar.innerHTML = "";
+    return;
   }
   
-  const query = searchQuery.toLowerCase().trim();
-  const queryWords = query.split(/\s+/).filter(word => word.length > 0);
+  const activeTags = getQueryTags(currentQuery);
+  sidebar.innerHTML = `
+    <h2 class="tag-sidebar-title">Tags</h2>
+    <ul class="tag-list">
+      <li class="tag-row">
+        <button class="tag-filter ${activeTags.length === 0 ? "active" : ""}" data-tag="">
+          <span class="tag-name">All reminders</span>
+          <span class="tag-count">${reminders.length}</span>
+        </button>
+      </li>
+      ${tagCounts.map(({ tag, count }) => `
+        <li class="tag-row">
+          <button class="tag-filter ${activeTags.includes(tag) ? "active" : ""}" data-tag="${tag}">
+            <span class="tag-dot" style="background: ${getTagColor(tag)};"></span>
+            <span class="tag-name">#${tag}</span>
+            <span class="tag-count">${count}</span>
+          </button>
+          <button class="tag-rename" data-tag="${tag}" title="Rename or merge #${tag}" aria-label="Rename #${tag}">✏️</button>
+        </li>
+      `).join("")}
+    </ul>
+  `;
+  sidebar.style.display = "block";
+  
+  sidebar.querySelectorAll(".tag-filter").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      setTagFilter(e.currentTarget.getAttribute("data-tag"));
+    });
+  });
+  
+  sidebar.querySelectorAll(".tag-rename").forEach((btn) => {
+    btn.addEventListener("click", async (e) => {
+      await handleRenameTag(e.currentTarget.getAttribute("data-tag"));
+    });
+  });
+}
+
+/**
+ * Rename a tag, or merge it into another existing tag
+ * @param {string} tag - Tag to rename
+ */
+async function handleRenameTag(tag) {
+  const input = prompt(`Rename #${tag} to (enter an existing tag to merge them):`, tag);
+  if (input === null) return;
+  
+  const target = normalizeTag(input);
+  if (!target) {
+    showNotification(`Invalid tag "${input}". Use letters, numbers, "-" and "_"`, "error");
+    return;
+  }
+  if (target === tag) return;
   
-  return remindersList.filter(reminder => {
-    const text = reminder.text.toLowerCase();
-    const dateStr = formatDateTime(reminder.scheduledTime).toLowerCase();
-    const relativeTime = getRelativeTime(reminder.scheduledTime).toLowerCase();
-    const status = reminder.status.toLowerCase();
-    const createdDate = reminder.createdAt ? formatDateOnly(reminder.createdAt).toLowerCase() : "";
+  try {
+    const merging = reminders.some((r) => (r.tags || []).includes(target));
+    const changed = await renameTag(tag, target);
     
-    // If multiple words, all words must match somewhere
-    if (queryWords.length > 1) {
-      return queryWords.every(word => 
-        text.includes(word) || 
-        dateStr.includes(word) || 
-        relativeTime.includes(word) ||
-        status.includes(word) ||
-        createdDate.includes(word)
-      );
+    if (getQueryTags(currentQuery).includes(tag)) {
+      setTagFilter(target);
     }
     
-    // Single word search - match anywhere
-    return text.includes(query) || 
-           dateStr.includes(query) || 
-           relativeTime.includes(query) ||
-           status.includes(query) ||
-           createdDate.includes(query);
-  });
+    showNotification(`${merging ? "Merged" : "Renamed"} #${tag} into #${target} on ${changed} reminder${changed !== 1 ? "s" : ""}`, "success");
+    await loadReminders();
+  } catch (error) {
+    console.error("Error renaming tag:", error);
+    showNotification(error.message || "Unable to rename tag. Please try again.", "error");
+  }
 }
 
 /**
@@ -132,6 +339,12 @@ function sortReminders(remindersList, sortOption) {
         aValue = a.status;
         bValue = b.status;
         break;
+      case "priority":
+        aValue = getPriorityLevel(a).rank;
+        bValue = getPriorityLevel(b).rank;
+        // Same priority: earliest first
+        if (aValue === bValue) return Number(a.scheduledTime) - Number(b.scheduledTime);
+        break;
       default:
         return 0;
     }
@@ -148,10 +361,15 @@ function sortReminders(remindersList, sortOption) {
  * Apply filters and sort, then render
  */
 function applyFiltersAndSort() {
-  filteredReminders = filterReminders(reminders, currentSearch);
+  const visible = showArchived ? reminders : reminders.filter((r) => !r.archivedAt);
+  filteredReminders = filterReminders(visible, currentSearch);
   filteredReminders = sortReminders(filteredReminders, currentSort);
+  if (currentSettings.groupedLayout) {
+    filteredReminders = orderByGroup(filteredReminders);
+  }
   
   const remindersListDiv = document.getElementById("reminders-list");
+  const calendarView = document.getElementById("calendar-view");
   const noResultsDiv = document.getElementById("no-results");
   const emptyStateDiv = document.getElementById("empty-state");
   const searchResultsCount = document.getElementById("search-results-count");
@@ -170,18 +388,26 @@ function applyFiltersAndSort() {
   // Show/hide appropriate sections
   if (filteredReminders.length === 0) {
     remindersListDiv && (remindersListDiv.style.display = "none");
+    calendarView && (calendarView.style.display = "none");
     emptyStateDiv && (emptyStateDiv.style.display = hasSearch ? "none" : "block");
     noResultsDiv && (noResultsDiv.style.display = hasSearch ? "block" : "none");
   } else {
     emptyStateDiv && (emptyStateDiv.style.display = "none");
     noResultsDiv && (noResultsDiv.style.display = "none");
-    if (remindersListDiv) {
+    if (currentView === "calendar") {
+      remindersListDiv && (remindersListDiv.style.display = "none");
+      calendarView.style.display = "block";
+      renderCalendar();
+    } else if (remindersListDiv) {
+      calendarView && (calendarView.style.display = "none");
       remindersListDiv.style.display = "block";
       renderReminders();
     }
   }
   
+  renderTagSidebar();
   updateStats();
+  updateBulkToolbar();
 }
 
 /**
@@ -204,68 +430,308 @@ function updateStats() {
 }
 
 /**
- * Render reminders list
+ * Render reminders list, split into collapsible sections when the grouped layout is on
+ * Cards are keyed by reminder ID and only rebuilt when what they show changed,
+ * so an open edit form, focus and the scroll position survive re-renders
  */
 function renderReminders() {
   const remindersListDiv = document.getElementById("reminders-list");
   if (!remindersListDiv) return;
   
-  remindersListDiv.innerHTML = "";
+  // Remember which card has focus: if it gets rebuilt or removed, focus moves to its replacement
+  const focusedCard = getFocusedCard();
+  const focusedIndex = focusedCard ? [...remindersListDiv.querySelectorAll(".reminder-item")].indexOf(focusedCard) : -1;
+  const existing = new Map([...remindersListDiv.children].map((el) => [getRenderId(el), el]));
+  const searchTerms = getQueryHighlightTerms(currentQuery);
+  const ordered = [];
+  const cards = [];
+  const groups = currentSettings.groupedLayout
+    ? groupReminders(filteredReminders)
+    : [{ key: null, reminders: filteredReminders }];
 
-  if (filteredReminders.length === 0) {
-    return;
-  }
+  groups.forEach((group) => {
+    if (group.key) {
+      const collapsed = currentSettings.collapsedGroups.includes(group.key);
+      ordered.push(getGroupHeader(existing, group, collapsed));
+      if (collapsed) return;
+    }
+    group.reminders.forEach((reminder, index) => {
+      const card = getReminderCard(existing, reminder, index, searchTerms);
+      ordered.push(card);
+      cards.push(card);
+    });
+  });
 
-  filteredReminders.forEach((reminder, index) => {
-    const badge = getStatusBadge(reminder.status);
-    const isPast = reminder.scheduledTime < Date.now();
-    const isEditing = editingId === reminder.id;
+  existing.forEach((el) => el.remove());
+  
+  // Move cards into sorted order, touching only the ones that are out of place
+  ordered.forEach((el, index) => {
+    const current = remindersListDiv.children[index];
+    if (current !== el) {
+      remindersListDiv.insertBefore(el, current || null);
+    }
+  });
+  
+  if (focusedCard && !focusedCard.isConnected) {
+    const focusedId = focusedCard.getAttribute("data-id");
+    const replacement = cards.find((el) => el.getAttribute("data-id") === focusedId) || cards[Math.min(focusedIndex, cards.length - 1)];
+    replacement?.focus({ preventScroll: true });
+  }
+}
 
-    const reminderDiv = document.createElement("div");
-    reminderDiv.className = `reminder-item ${reminder.status} ${isPast ? "past" : ""}`;
-    
-    // Ensure visibility from the start
-    reminderDiv.style.opacity = "1";
-    reminderDiv.style.display = "flex";
+/**
+ * Get the key renderReminders matches a list element by: the reminder ID of a card, or the group of a section header
+ * @param {HTMLElement} el - Child of the reminders list
+ * @returns {string} Render ID
+ */
+function getRenderId(el) {
+  return el.hasAttribute("data-group") ? `group:${el.getAttribute("data-group")}` : el.getAttribute("data-id");
+}
 
-    if (isEditing) {
-      reminderDiv.innerHTML = createEditForm(reminder, index + 1);
-    } else {
-      reminderDiv.innerHTML = createReminderCard(reminder, badge, isPast, index + 1);
+/**
+ * Reuse a reminder's card, or build a new one if what it shows changed
+ * @param {Map} existing - Current list elements by render ID; the reused card is taken out
+ * @param {Object} reminder - Reminder object
+ * @param {number} index - Position in its list or group
+ * @param {Array<string>} searchTerms - Terms to highlight
+ * @returns {HTMLElement} Card element
+ */
+function getReminderCard(existing, reminder, index, searchTerms) {
+  const id = String(reminder.id);
+  const isPast = reminder.scheduledTime < Date.now();
+  const isEditing = editingId === reminder.id;
+  const renderKey = JSON.stringify([reminder, index, isPast, isEditing, getRelativeTime(reminder.scheduledTime), searchTerms, currentSettings.timeFormat]);
+  
+  let reminderDiv = existing.get(id);
+  existing.delete(id);
+  
+  // Never rebuild an open edit form, or the user's unsaved input would be lost
+  const keepEditForm = isEditing && reminderDiv && reminderDiv.getAttribute("data-editing") === "true";
+  if (keepEditForm) {
+    reminderDiv.querySelector(".reminder-number").textContent = `#${index + 1}`;
+  } else if (!reminderDiv || reminderDiv.getAttribute("data-render-key") !== renderKey) {
+    const freshDiv = createReminderElement(reminder, index + 1, isPast, isEditing);
+    freshDiv.setAttribute("data-render-key", renderKey);
+    if (reminderDiv) {
+      reminderDiv.replaceWith(freshDiv);
     }
+    reminderDiv = freshDiv;
+  }
+  
+  return reminderDiv;
+}
 
-    remindersListDiv.appendChild(reminderDiv);
-    
-    // Trigger animation by resetting and re-applying
-    requestAnimationFrame(() => {
-      const infoItems = reminderDiv.querySelectorAll('.info-item');
-      infoItems.forEach((item, itemIndex) => {
-        item.style.animation = 'none';
-        requestAnimationFrame(() => {
-          item.style.animation = '';
-          item.style.animationDelay = `${(itemIndex + 1) * 0.1}s`;
-        });
+/**
+ * Get the section of the grouped layout a reminder belongs to
+ * Active reminders go by when they are due; the rest by their status
+ * @param {Object} reminder - Reminder object
+ * @param {number} [now] - Current time
+ * @returns {string} Key from REMINDER_GROUPS
+ */
+function getReminderGroup(reminder, now = Date.now()) {
+  if (reminder.status === "completed" || reminder.status === "dismissed") {
+    return reminder.status;
+  }
+  
+  const today = new Date(now);
+  const tomorrow = addDays(new Date(today.getFullYear(), today.getMonth(), today.getDate()).getTime(), 1);
+  if (reminder.scheduledTime < now) return "overdue";
+  if (reminder.scheduledTime < tomorrow) return "today";
+  if (reminder.scheduledTime < addDays(tomorrow, 1)) return "tomorrow";
+  if (reminder.scheduledTime < addDays(getWeekStart(today, currentSettings.weekStartsOn), 7)) return "week";
+  return "later";
+}
+
+/**
+ * Split sorted reminders into the sections of the grouped layout, keeping their order within each section
+ * @param {Array} remindersList - Sorted reminders
+ * @returns {Array<Object>} Non-empty groups ({ key, label, reminders }) in display order
+ */
+function groupReminders(remindersList) {
+  const now = Date.now();
+  const byGroup = new Map(REMINDER_GROUPS.map((group) => [group.key, []]));
+  remindersList.forEach((reminder) => byGroup.get(getReminderGroup(reminder, now)).push(reminder));
+  
+  return REMINDER_GROUPS
+    .map((group) => ({ ...group, reminders: byGroup.get(group.key) }))
+    .filter((group) => group.reminders.length > 0);
+}
+
+/**
+ * Order sorted reminders section by section, so range selection follows what the grouped layout shows
+ * @param {Array} remindersList - Sorted reminders
+ * @returns {Array} Reminders in grouped order
+ */
+function orderByGroup(remindersList) {
+  return groupReminders(remindersList).flatMap((group) => group.reminders);
+}
+
+/**
+ * Reuse a section header, or build a new one if its count or collapsed state changed
+ * @param {Map} existing - Current list elements by render ID; the reused header is taken out
+ * @param {Object} group - Group from groupReminders
+ * @param {boolean} collapsed - Whether the section is collapsed
+ * @returns {HTMLElement} Header element
+ */
+function getGroupHeader(existing, group, collapsed) {
+  const renderId = `group:${group.key}`;
+  const renderKey = JSON.stringify([group.reminders.length, collapsed]);
+  const current = existing.get(renderId);
+  existing.delete(renderId);
+  if (current && current.getAttribute("data-render-key") === renderKey) {
+    return current;
+  }
+  
+  const header = document.createElement("div");
+  header.className = `reminder-group-header group-${group.key}${collapsed ? " collapsed" : ""}`;
+  header.setAttribute("data-group", group.key);
+  header.setAttribute("data-render-key", renderKey);
+  header.innerHTML = `
+    <button type="button" class="reminder-group-toggle" aria-expanded="${!collapsed}">
+      <span class="reminder-group-chevron">${collapsed ? "▸" : "▾"}</span>
+      <span class="reminder-group-label">${group.label}</span>
+      <span class="reminder-group-count">${group.reminders.length}</span>
+    </button>
+  `;
+  header.querySelector("button").addEventListener("click", () => toggleReminderGroup(group.key));
+  
+  if (current) {
+    current.replaceWith(header);
+  }
+  return header;
+}
+
+/**
+ * Collapse or expand a section of the grouped layout
+ * The state is kept in settings, so it survives reloads; the settings listener re-renders the list
+ * @param {string} key - Group key
+ * @param {boolean} [collapse] - Collapse (true) or expand (false); toggles when left out
+ */
+async function toggleReminderGroup(key, collapse = !currentSettings.collapsedGroups.includes(key)) {
+  const collapsedGroups = currentSettings.collapsedGroups.filter((group) => group !== key);
+  if (collapse) {
+    collapsedGroups.push(key);
+  }
+  
+  try {
+    await saveSettings({ collapsedGroups });
+  } catch (error) {
+    showNotification("Unable to save the collapsed sections", "error");
+  }
+}
+
+/**
+ * Turn the grouped layout on or off
+ * @param {boolean} enabled - Whether to group reminders into sections by date
+ */
+async function setGroupedLayout(enabled) {
+  try {
+    await saveSettings({ groupedLayout: enabled });
+  } catch (error) {
+    document.getElementById("grouped-layout").checked = currentSettings.groupedLayout;
+    showNotification("Unable to change the layout", "error");
+  }
+}
+
+/**
+ * Get the reminder card that has keyboard focus (or contains the focused element)
+ * @returns {HTMLElement|null} Card element
+ */
+function getFocusedCard() {
+  const active = document.activeElement;
+  return active && active.closest ? active.closest("#reminders-list .reminder-item") : null;
+}
+
+/**
+ * Focus a reminder card and scroll it into view
+ * @param {HTMLElement} card - Card element
+ */
+function focusCard(card) {
+  if (!card) return;
+  card.focus({ preventScroll: true });
+  card.scrollIntoView({ block: "nearest", behavior: "smooth" });
+}
+
+/**
+ * Move focus to the next or previous card (j/k); without a focused card it starts at either end
+ * @param {number} step - 1 for the next card, -1 for the previous one
+ */
+function moveCardFocus(step) {
+  const list = document.getElementById("reminders-list");
+  if (!list || list.style.display === "none") return;
+  
+  const cards = [...list.querySelectorAll(".reminder-item")];
+  if (cards.length === 0) return;
+  
+  const index = cards.indexOf(getFocusedCard());
+  const next = index === -1
+    ? (step > 0 ? 0 : cards.length - 1)
+    : Math.min(Math.max(index + step, 0), cards.length - 1);
+  focusCard(cards[next]);
+}
+
+/**
+ * Create the element for one reminder card (or its edit form)
+ * @param {Object} reminder - Reminder object
+ * @param {number} number - Reminder number for display
+ * @param {boolean} isPast - Whether reminder time has passed
+ * @param {boolean} isEditing - Whether to show the edit form
+ * @returns {HTMLElement} Reminder element with event listeners attached
+ */
+function createReminderElement(reminder, number, isPast, isEditing) {
+  const reminderDiv = document.createElement("div");
+  reminderDiv.className = `reminder-item ${reminder.status} ${isPast ? "past" : ""}`;
+  reminderDiv.setAttribute("data-id", reminder.id);
+  reminderDiv.setAttribute("data-editing", String(isEditing));
+  reminderDiv.tabIndex = -1;
+  
+  if (recentlyFiredIds.has(String(reminder.id))) {
+    reminderDiv.classList.add("just-fired");
+  }
+  
+  // Ensure visibility from the start
+  reminderDiv.style.opacity = "1";
+  reminderDiv.style.display = "flex";
+
+  if (isEditing) {
+    reminderDiv.innerHTML = createEditForm(reminder, number);
+  } else {
+    reminderDiv.innerHTML = createReminderCard(reminder, getStatusBadge(reminder.status), isPast, number);
+  }
+  
+  attachEventListeners(reminderDiv);
+  
+  // Trigger animation by resetting and re-applying
+  requestAnimationFrame(() => {
+    const infoItems = reminderDiv.querySelectorAll('.info-item');
+    infoItems.forEach((item, itemIndex) => {
+      item.style.animation = 'none';
+      requestAnimationFrame(() => {
+        item.style.animation = '';
+        item.style.animationDelay = `${(itemIndex + 1) * 0.1}s`;
       });
     });
   });
-
-  attachEventListeners();
+  
+  return reminderDiv;
 }
 
 /**
  * Highlight search terms in text
  * @param {string} text - Text to highlight
- * @param {string} query - Search query
+ * @param {Array<string>} terms - Free-text terms from the parsed search query
  * @returns {string} HTML string with highlighted matches
  */
-function highlightSearch(text, query) {
-  if (!query || query.trim().length === 0) {
+function highlightSearch(text, terms) {
+  if (!terms || terms.length === 0) {
     return escapeHtml(text);
   }
   
   const escapedText = escapeHtml(text);
-  const escapedQuery = escapeHtml(query);
-  const regex = new RegExp(`(${escapedQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+  const pattern = terms
+    .map((term) => escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join("|");
+  const regex = new RegExp(`(${pattern})`, 'gi');
   
   return escapedText.replace(regex, '<mark class="search-highlight">$1</mark>');
 }
@@ -282,15 +748,20 @@ function createReminderCard(reminder, badge, isPast, number) {
   const relativeTime = getRelativeTime(reminder.scheduledTime);
   const isOverdue = isPast && reminder.status === "active";
   const createdDate = reminder.createdAt ? formatDateOnly(reminder.createdAt) : "Unknown";
+  const priority = normalizePriority(reminder.priority);
+  const priorityLevel = PRIORITY_LEVELS[priority];
   
-  // Highlight search terms if search is active
-  const highlightedText = currentSearch ? highlightSearch(reminder.text, currentSearch) : escapeHtml(reminder.text);
-  const highlightedDate = currentSearch ? highlightSearch(formatDateTime(reminder.scheduledTime), currentSearch) : formatDateTime(reminder.scheduledTime);
-  const highlightedRelative = currentSearch ? highlightSearch(relativeTime, currentSearch) : relativeTime;
-  const highlightedCreated = currentSearch ? highlightSearch(createdDate, currentSearch) : createdDate;
+  // Highlight free-text search terms if search is active
+  const searchTerms = getQueryHighlightTerms(currentQuery);
+  const highlightedText = highlightSearch(reminder.text, searchTerms);
+  const highlightedDate = highlightSearch(formatDateTime(reminder.scheduledTime), searchTerms);
+  const zonedTime = formatReminderTimeZone(reminder);
   
   return `
-    <div class="reminder-number">#${number}</div>
+    <div class="reminder-number">
+      <input type="checkbox" class="reminder-select" data-id="${reminder.id}" ${selectedIds.has(String(reminder.id)) ? "checked" : ""} title="Select (Shift+click to select a range)" aria-label="Select reminder ${number}" />
+      #${number}
+    </div>
     <div class="reminder-content">
       <div class="reminder-header-section">
         <div class="reminder-header-top">
@@ -299,8 +770,38 @@ function createReminderCard(reminder, badge, isPast, number) {
             ${badge.text}
           </span>
           ${isOverdue ? '<span class="badge badge-overdue">⚠ Overdue</span>' : ""}
+          ${priority !== DEFAULT_PRIORITY ? `
+            <span class="badge badge-priority-${priority}" title="${priorityLevel.label} priority">
+              <span class="badge-icon">${priorityLevel.icon}</span>
+              ${priorityLevel.label}
+            </span>
+          ` : ""}
+          ${reminder.archivedAt ? `
+            <span class="badge badge-archived" title="Archived ${formatDateTime(reminder.archivedAt)}">🗄 Archived</span>
+          ` : ""}
+          ${reminder.timeMode === "floating" ? `
+            <span class="badge badge-floating" title="Rings at this clock time in whatever time zone you are in">🕘 Floating</span>
+          ` : ""}
+          ${reminder.snoozeCount > 0 ? `
+            <span class="badge badge-snoozed" title="${reminder.snoozedUntil ? `Snoozed until ${formatDateTime(reminder.snoozedUntil)}` : "Times this reminder was snoozed"}">
+              💤 Snoozed ${reminder.snoozeCount}×
+            </span>
+          ` : ""}
         </div>
         <p class="reminder-text">${highlightedText}</p>
+        ${reminder.notes ? `<p class="reminder-notes">${highlightSearch(reminder.notes, searchTerms)}</p>` : ""}
+        ${reminder.url ? `
+          <a class="reminder-link" href="${escapeHtml(reminder.url).replace(/"/g, "&quot;")}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(reminder.url).replace(/"/g, "&quot;")}">
+            🔗 ${escapeHtml(getUrlLabel(reminder.url))}
+          </a>
+        ` : ""}
+        ${(reminder.tags || []).length > 0 ? `
+          <div class="reminder-tags">
+            ${reminder.tags.map((tag) => `
+              <button class="tag-chip" data-tag="${tag}" style="color: ${getTagColor(tag)}; border-color: ${getTagColor(tag)};" title="Show reminders tagged #${tag}">#${tag}</button>
+            `).join("")}
+          </div>
+        ` : ""}
       </div>
       
       <div class="reminder-info-section">
@@ -312,19 +813,49 @@ function createReminderCard(reminder, badge, isPast, number) {
           </div>
         </div>
         
+        ${zonedTime ? `
+        <div class="info-item">
+          <span class="info-icon">🌐</span>
+          <div class="info-content">
+            <span class="info-label">${reminder.timeMode === "floating" ? "Set In" : "Time Zone"}</span>
+            <span class="info-value">${escapeHtml(zonedTime)}</span>
+          </div>
+        </div>
+        ` : ""}
+        
         <div class="info-item">
           <span class="info-icon">⏱️</span>
           <div class="info-content">
             <span class="info-label">Time Remaining</span>
-            <span class="info-value">${highlightedRelative}</span>
+            <span class="info-value">${relativeTime}</span>
+          </div>
+        </div>
+        
+        ${(reminder.preAlerts || []).length > 0 ? `
+        <div class="info-item">
+          <span class="info-icon">🔔</span>
+          <div class="info-content">
+            <span class="info-label">Pre-alerts</span>
+            <span class="info-value">${reminder.preAlerts.map(formatDuration).join(", ")} before</span>
+          </div>
+        </div>
+        ` : ""}
+        
+        ${reminder.recurrence ? `
+        <div class="info-item">
+          <span class="info-icon">🔁</span>
+          <div class="info-content">
+            <span class="info-label">Repeats</span>
+            <span class="info-value">${escapeHtml(describeRecurrence(reminder.recurrence))}</span>
           </div>
         </div>
+        ` : ""}
         
         <div class="info-item">
           <span class="info-icon">📝</span>
           <div class="info-content">
             <span class="info-label">Created On</span>
-            <span class="info-value">${highlightedCreated}</span>
+            <span class="info-value">${createdDate}</span>
           </div>
         </div>
       </div>
@@ -341,7 +872,7 @@ function createReminderCard(reminder, badge, isPast, number) {
           Dismiss
         </button>
       ` : ""}
-      <button class="btn-delete" data-id="${reminder.id}" data-time="${reminder.scheduledTime}" title="Delete this reminder">
+      <button class="btn-delete" data-id="${reminder.id}" title="Move this reminder to the trash">
         <span class="btn-icon">🗑️</span>
         Delete
       </button>
@@ -365,10 +896,25 @@ function createEditForm(reminder, number) {
       <textarea class="edit-text-input" data-id="${reminder.id}" rows="3" placeholder="What would you like to be reminded about?">${escapeHtml(reminder.text)}</textarea>
       <div class="datetime-group">
         <input type="datetime-local" class="edit-datetime-input" data-id="${reminder.id}" value="${dateTimeValue}" min="${minDateTime}" />
-        <button type="button" class="today-button edit-today-button" data-id="${reminder.id}" title="Set to the next hour (current date, next hour at :00)">
-          Set to Next Hour
+        <button type="button" class="today-button edit-today-button" data-id="${reminder.id}" title="Set to the default reminder time from Settings">
+          ${getDefaultReminderLabel()}
         </button>
       </div>
+      <div class="preset-chips edit-preset-chips" data-id="${reminder.id}" aria-label="Reschedule to a preset time"></div>
+      <input type="text" class="edit-url-input" data-id="${reminder.id}" value="${escapeHtml(reminder.url || "").replace(/"/g, "&quot;")}" placeholder="Link (optional)" aria-label="Link" autocomplete="off" />
+      <textarea class="edit-notes-input" data-id="${reminder.id}" rows="2" placeholder="Notes (optional)" aria-label="Notes">${escapeHtml(reminder.notes || "")}</textarea>
+      <input type="text" class="edit-tags-input" data-id="${reminder.id}" value="${formatTags(reminder.tags)}" placeholder="Tags, e.g., #billing #oncall" aria-label="Tags" autocomplete="off" />
+      <select class="edit-priority-input repeat-select" data-id="${reminder.id}" aria-label="Priority">
+        ${REMINDER_PRIORITIES.map((value) => `
+          <option value="${value}" ${value === normalizePriority(reminder.priority) ? "selected" : ""}>${PRIORITY_LEVELS[value].label} priority</option>
+        `).join("")}
+      </select>
+      <input type="text" class="edit-pre-alerts-input" data-id="${reminder.id}" value="${formatPreAlerts(reminder.preAlerts)}" placeholder="Pre-alerts, e.g., 1d, 1h, 10m" aria-label="Pre-alerts" autocomplete="off" />
+      <select class="edit-time-mode-input repeat-select" data-id="${reminder.id}" aria-label="When you change time zones">
+        <option value="fixed" ${reminder.timeMode !== "floating" ? "selected" : ""}>Fixed: same moment in every time zone</option>
+        <option value="floating" ${reminder.timeMode === "floating" ? "selected" : ""}>Floating: same clock time in every time zone</option>
+      </select>
+      ${createRepeatPickerHtml(reminder.recurrence)}
       <div class="edit-actions">
         <button class="btn-save" data-id="${reminder.id}">
           <span class="btn-icon">✓</span>
@@ -384,26 +930,44 @@ function createEditForm(reminder, number) {
 }
 
 /**
- * Format datetime for datetime-local input (local time)
- * @param {number} timestamp - Unix timestamp in milliseconds
- * @returns {string} Local datetime string (YYYY-MM-DDTHH:mm)
+ * Create repeat picker HTML for the edit form
+ * @param {Object|null} recurrence - Current recurrence rule
+ * @returns {string} HTML string
  */
-function formatDateTimeLocal(timestamp) {
-  const date = new Date(timestamp);
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  return `${year}-${month}-${day}T${hours}:${minutes}`;
+function createRepeatPickerHtml(recurrence) {
+  const fields = getRecurrenceFields(recurrence);
+  const option = (value, label, current) => `<option value="${value}" ${value === current ? "selected" : ""}>${label}</option>`;
+  
+  return `
+    <div class="repeat-group">
+      <select data-repeat="preset" class="edit-repeat-input repeat-select" aria-label="Repeat">
+        ${option("none", "Does not repeat", fields.preset)}
+        ${option("daily", "Daily", fields.preset)}
+        ${option("weekdays", "Every weekday (Mon–Fri)", fields.preset)}
+        ${option("weekly", "Weekly", fields.preset)}
+        ${option("monthly", "Monthly", fields.preset)}
+        ${option("custom", "Custom rule…", fields.preset)}
+      </select>
+      <input type="text" data-repeat="rrule" class="edit-repeat-input" value="${escapeHtml(fields.rrule)}" placeholder="e.g., FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE" aria-label="Custom repeat rule" autocomplete="off" />
+      <select data-repeat="end" class="edit-repeat-input repeat-select" aria-label="Repeat ends">
+        ${option("never", "Never ends", fields.end)}
+        ${option("until", "Ends on date", fields.end)}
+        ${option("count", "Ends after…", fields.end)}
+      </select>
+      <input type="date" data-repeat="until" class="edit-repeat-input" value="${fields.until}" aria-label="Repeat until" />
+      <input type="number" data-repeat="count" class="edit-repeat-input repeat-count" min="1" value="${fields.count || 10}" aria-label="Number of occurrences" />
+    </div>
+  `;
 }
 
 /**
  * Attach event listeners to reminder cards
+ * Scoped to the given card so the add and settings forms keep their own handlers
+ * @param {HTMLElement} container - Reminder card element
  */
-function attachEventListeners() {
+function attachEventListeners(container) {
   // Edit buttons
-  document.querySelectorAll(".btn-edit").forEach((btn) => {
+  container.querySelectorAll(".btn-edit").forEach((btn) => {
     btn.addEventListener("click", (e) => {
       const id = e.currentTarget.getAttribute("data-id");
       startEdit(id);
@@ -411,7 +975,7 @@ function attachEventListeners() {
   });
 
   // Dismiss buttons
-  document.querySelectorAll(".btn-dismiss").forEach((btn) => {
+  container.querySelectorAll(".btn-dismiss").forEach((btn) => {
     btn.addEventListener("click", async (e) => {
       const id = e.currentTarget.getAttribute("data-id");
       await handleDismiss(id);
@@ -419,16 +983,15 @@ function attachEventListeners() {
   });
 
   // Delete buttons
-  document.querySelectorAll(".btn-delete").forEach((btn) => {
+  container.querySelectorAll(".btn-delete").forEach((btn) => {
     btn.addEventListener("click", async (e) => {
       const id = e.currentTarget.getAttribute("data-id");
-      const scheduledTime = parseInt(e.currentTarget.getAttribute("data-time"));
-      await handleDelete(id, scheduledTime);
+      await handleDelete(id);
     });
   });
 
   // Save buttons (edit forms)
-  document.querySelectorAll(".btn-save").forEach((btn) => {
+  container.querySelectorAll(".btn-save").forEach((btn) => {
     btn.addEventListener("click", async (e) => {
       const id = e.currentTarget.getAttribute("data-id");
       await saveEdit(id);
@@ -436,53 +999,414 @@ function attachEventListeners() {
   });
 
   // Cancel buttons (edit forms)
-  document.querySelectorAll(".btn-cancel").forEach((btn) => {
+  container.querySelectorAll(".btn-cancel").forEach((btn) => {
     btn.addEventListener("click", () => {
       cancelEdit();
     });
   });
 
+  // Selection checkboxes (Shift+click selects a range)
+  container.querySelectorAll(".reminder-select").forEach((checkbox) => {
+    checkbox.addEventListener("click", (e) => {
+      handleSelectClick(e.currentTarget.getAttribute("data-id"), e.currentTarget.checked, e.shiftKey);
+    });
+  });
+
+  // Tag chips
+  container.querySelectorAll(".tag-chip").forEach((chip) => {
+    chip.addEventListener("click", (e) => {
+      setTagFilter(e.currentTarget.getAttribute("data-tag"));
+    });
+  });
+
+  // Repeat pickers (edit forms)
+  container.querySelectorAll(".edit-form").forEach((form) => {
+    bindRepeatPicker(form);
+  });
+
+  // Preset chips (edit forms) - reschedule and save in one click
+  container.querySelectorAll(".edit-preset-chips").forEach((chips) => {
+    const id = chips.getAttribute("data-id");
+    renderPresetChips(chips, currentSettings.quickPickPresets, async (scheduledTime) => {
+      const datetimeInput = container.querySelector(`.edit-datetime-input[data-id="${id}"]`);
+      if (datetimeInput) {
+        datetimeInput.value = formatDateTimeLocal(scheduledTime);
+        await saveEdit(id);
+      }
+    });
+  });
+
   // Set to Next Hour buttons (edit forms)
-  document.querySelectorAll(".edit-today-button").forEach((btn) => {
+  container.querySelectorAll(".edit-today-button").forEach((btn) => {
     btn.addEventListener("click", (e) => {
       const id = e.currentTarget.getAttribute("data-id");
       const datetimeInput = document.querySelector(`.edit-datetime-input[data-id="${id}"]`);
       if (datetimeInput) {
-        datetimeInput.value = getNextHourDateTime();
+        datetimeInput.value = getDefaultReminderDateTime();
       }
     });
   });
 }
 
 /**
- * Start editing a reminder
- * @param {string} id - Reminder ID
+ * Update the selection after a checkbox click
+ * @param {string} id - Reminder ID of the clicked checkbox
+ * @param {boolean} checked - New checkbox state
+ * @param {boolean} extendRange - Whether Shift was held (applies the state to every card since the last click)
  */
-function startEdit(id) {
-  editingId = id;
-  renderReminders();
-  // Focus text input after render
-  requestAnimationFrame(() => {
-    const textInput = document.querySelector(`.edit-text-input[data-id="${id}"]`);
-    textInput?.focus();
+function handleSelectClick(id, checked, extendRange) {
+  const ids = filteredReminders.map((r) => String(r.id));
+  let affected = [id];
+  
+  if (extendRange && selectionAnchorId && ids.includes(selectionAnchorId) && ids.includes(id)) {
+    const [from, to] = [ids.indexOf(selectionAnchorId), ids.indexOf(id)].sort((a, b) => a - b);
+    affected = ids.slice(from, to + 1);
+  }
+  
+  affected.forEach((affectedId) => {
+    if (checked) {
+      selectedIds.add(affectedId);
+    } else {
+      selectedIds.delete(affectedId);
+    }
   });
+  selectionAnchorId = id;
+  updateBulkToolbar();
 }
 
 /**
- * Cancel editing
+ * Select every reminder matching the current search, or clear the selection if they're all selected
  */
-function cancelEdit() {
-  editingId = null;
-  renderReminders();
+function toggleSelectAllMatching() {
+  const ids = filteredReminders.map((r) => String(r.id));
+  const allSelected = ids.length > 0 && ids.every((id) => selectedIds.has(id));
+  
+  selectedIds = allSelected ? new Set() : new Set(ids);
+  selectionAnchorId = null;
+  updateBulkToolbar();
 }
 
 /**
- * Save edited reminder
- * @param {string} id - Reminder ID
+ * Show the bulk toolbar for the current selection and sync the card checkboxes
+ * Selected reminders that no longer match the search are dropped from the selection
  */
-async function saveEdit(id) {
-  const textInput = document.querySelector(`.edit-text-input[data-id="${id}"]`);
-  const datetimeInput = document.querySelector(`.edit-datetime-input[data-id="${id}"]`);
+function updateBulkToolbar() {
+  const toolbar = document.getElementById("bulk-toolbar");
+  if (!toolbar) return;
+  
+  const visibleIds = new Set(filteredReminders.map((r) => String(r.id)));
+  selectedIds = new Set([...selectedIds].filter((id) => visibleIds.has(id)));
+  
+  const count = selectedIds.size;
+  const allSelected = visibleIds.size > 0 && count === visibleIds.size;
+  
+  toolbar.style.display = visibleIds.size > 0 ? "flex" : "none";
+  document.getElementById("bulk-actions").style.display = count > 0 ? "flex" : "none";
+  document.getElementById("bulk-count").textContent = count > 0 ? `${count} selected` : "";
+  document.getElementById("select-all-matching").textContent = allSelected
+    ? "Deselect all"
+    : `Select all matching (${visibleIds.size})`;
+  
+  document.querySelectorAll("#reminders-list .reminder-select").forEach((checkbox) => {
+    const isSelected = selectedIds.has(checkbox.getAttribute("data-id"));
+    checkbox.checked = isSelected;
+    checkbox.closest(".reminder-item").classList.toggle("selected", isSelected);
+  });
+}
+
+/**
+ * Add whole local days to a reminder's time (keeps the wall-clock time across DST changes)
+ * A reminder that would still be in the past keeps moving by the same step until it is in the future
+ * @param {Object} reminder - Reminder object
+ * @param {number} days - Days to add (at least 1)
+ * @returns {Object} Rescheduled reminder
+ */
+function shiftReminderByDays(reminder, days) {
+  const date = new Date(Number(reminder.scheduledTime));
+  const now = Date.now();
+  do {
+    date.setDate(date.getDate() + days);
+  } while (date.getTime() <= now);
+  const scheduledTime = date.getTime();
+  return { ...reminder, scheduledTime, alarmName: createAlarmName({ id: reminder.id, scheduledTime }) };
+}
+
+/**
+ * Build the change a bulk action applies to each selected reminder
+ * @param {string} action - Bulk action ("dismiss", "snooze", "delete", "day", "week", "tag" or "priority")
+ * @param {*} value - Minutes for "snooze", tags for "tag", priority for "priority"
+ * @returns {Function} Change for updateRemindersBatch
+ */
+function getBulkChange(action, value) {
+  switch (action) {
+    case "dismiss":
+      return (reminder) => (reminder.status === "active" ? { ...reminder, status: "dismissed" } : reminder);
+    case "snooze":
+      // Only reminders that have come due; finished ones stay finished and future ones keep their time
+      return (reminder) => (reminder.status === "active" && Number(reminder.scheduledTime) <= Date.now()
+        ? snoozeReminderFor(reminder, value)
+        : reminder);
+    case "delete":
+      return () => null;
+    case "day":
+    case "week":
+      return (reminder) => (reminder.status === "active" ? shiftReminderByDays(reminder, action === "day" ? 1 : 7) : reminder);
+    case "tag":
+      return (reminder) => ({ ...reminder, tags: [...new Set([...(reminder.tags || []), ...value])] });
+    case "priority":
+      return (reminder) => ({ ...reminder, priority: value });
+    default:
+      throw new Error(`Unknown bulk action: ${action}`);
+  }
+}
+
+/**
+ * Change or trash reminders in one storage write, re-arm their alarms and record the change for undo
+ * @param {Array<string>} ids - Reminder IDs
+ * @param {Function} change - Change for updateRemindersBatch
+ * @param {Function} describe - Receives the number of changed reminders; returns the history label
+ * @returns {Promise<Object>} { before, after } from updateRemindersBatch
+ */
+async function commitReminderChange(ids, change, describe) {
+  const result = await updateRemindersBatch(ids, change);
+  await syncReminderAlarms(result.before, result.after);
+  
+  if (result.before.length > 0) {
+    await recordChange(describe(result.before.length), result.before, result.after);
+  }
+  return result;
+}
+
+/**
+ * Apply a bulk action to the selected reminders in one storage write, with undo
+ * @param {string} action - Bulk action ("dismiss", "snooze", "delete", "day", "week", "tag" or "priority")
+ * @param {*} [value] - Minutes for "snooze", tags for "tag", priority for "priority"
+ */
+async function handleBulkAction(action, value) {
+  const ids = [...selectedIds];
+  if (ids.length === 0) return;
+  
+  const verbs = {
+    dismiss: "Dismissed",
+    snooze: `Snoozed for ${formatDuration(value)}:`,
+    delete: "Moved to trash:",
+    day: "Moved 1 day later:",
+    week: "Moved 1 week later:",
+    tag: `Tagged ${formatTags(value)}:`,
+    priority: `Set to ${value} priority:`,
+  };
+  const describe = (count) => `${verbs[action]} ${count} reminder${count !== 1 ? "s" : ""}`;
+  
+  try {
+    const result = await commitReminderChange(ids, getBulkChange(action, value), describe);
+    
+    if (result.before.length === 0) {
+      showNotification("None of the selected reminders needed that change", "error");
+      return;
+    }
+    
+    if (action === "delete") {
+      selectedIds = new Set();
+    }
+    
+    showNotificationWithUndo(describe(result.before.length), handleUndo);
+    await loadReminders();
+  } catch (error) {
+    console.error("Error applying bulk action:", error);
+    showNotification(error.message || "Unable to update the selected reminders", "error");
+  }
+}
+
+/**
+ * Undo the latest change (also reverts changes made before a reload)
+ */
+async function handleUndo() {
+  try {
+    const entry = await undoLastChange();
+    if (!entry) {
+      showNotification("Nothing to undo", "error");
+      return;
+    }
+    
+    showNotification(`Undone: ${entry.label}`, "success");
+    await Promise.all([loadReminders(), loadTrash()]);
+  } catch (error) {
+    console.error("Error undoing change:", error);
+    showNotification(error.message || "Unable to undo", "error");
+  }
+}
+
+/**
+ * Redo the latest undone change
+ */
+async function handleRedo() {
+  try {
+    const entry = await redoLastChange();
+    if (!entry) {
+      showNotification("Nothing to redo", "error");
+      return;
+    }
+    
+    showNotification(`Redone: ${entry.label}`, "success");
+    await Promise.all([loadReminders(), loadTrash()]);
+  } catch (error) {
+    console.error("Error redoing change:", error);
+    showNotification(error.message || "Unable to redo", "error");
+  }
+}
+
+/**
+ * Enable the undo/redo buttons and describe what they would do
+ */
+async function updateHistoryButtons() {
+  const { undo, redo } = await getHistory();
+  const undoButton = document.getElementById("undo-button");
+  const redoButton = document.getElementById("redo-button");
+  const lastUndo = undo[undo.length - 1];
+  const lastRedo = redo[redo.length - 1];
+  
+  undoButton.disabled = !lastUndo;
+  undoButton.title = lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : "Nothing to undo";
+  redoButton.disabled = !lastRedo;
+  redoButton.title = lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Shift+Z)` : "Nothing to redo";
+}
+
+/**
+ * Load the trash and show it
+ */
+async function loadTrash() {
+  trash = await getTrash();
+  renderTrash();
+}
+
+/**
+ * Render the trash panel, most recently deleted first
+ */
+function renderTrash() {
+  const list = document.getElementById("trash-list");
+  document.getElementById("trash-count").textContent = trash.length > 0 ? `(${trash.length})` : "";
+  document.getElementById("empty-trash").disabled = trash.length === 0;
+  
+  if (trash.length === 0) {
+    list.innerHTML = '<p class="form-hint">The trash is empty.</p>';
+    return;
+  }
+  
+  list.innerHTML = [...trash]
+    .sort((a, b) => Number(b.deletedAt) - Number(a.deletedAt))
+    .map((reminder) => `
+      <div class="trash-item">
+        <div class="trash-item-text">
+          ${escapeHtml(reminder.text)}
+          <small>${escapeHtml(formatDateTime(reminder.scheduledTime))} · deleted ${escapeHtml(getRelativeTime(Number(reminder.deletedAt)))}</small>
+        </div>
+        <button type="button" class="bulk-button trash-restore" data-id="${reminder.id}" title="Put this reminder back">↶ Restore</button>
+        <button type="button" class="bulk-button bulk-button-danger trash-delete" data-id="${reminder.id}" title="Delete this reminder permanently">Delete forever</button>
+      </div>
+    `)
+    .join("");
+  
+  list.querySelectorAll(".trash-restore").forEach((btn) => {
+    btn.addEventListener("click", (e) => handleRestore([e.currentTarget.getAttribute("data-id")]));
+  });
+  list.querySelectorAll(".trash-delete").forEach((btn) => {
+    btn.addEventListener("click", (e) => handleDeleteForever(e.currentTarget.getAttribute("data-id")));
+  });
+}
+
+/**
+ * Toggle trash panel visibility
+ */
+function toggleTrashPanel() {
+  const panel = document.getElementById("trash-panel");
+  panel.style.display = panel.style.display !== "none" ? "none" : "block";
+}
+
+/**
+ * Restore reminders from the trash (their alarms are re-armed if still in the future)
+ * @param {Array<string>} ids - Reminder IDs
+ */
+async function handleRestore(ids) {
+  try {
+    const restored = await restoreFromTrash(ids);
+    if (restored.length === 0) return;
+    
+    const label = `Restored ${restored.length} reminder${restored.length !== 1 ? "s" : ""}`;
+    await recordChange(label, [], restored);
+    showNotificationWithUndo(label, handleUndo);
+    await Promise.all([loadReminders(), loadTrash()]);
+  } catch (error) {
+    console.error("Error restoring reminder:", error);
+    showNotification(error.message || "Unable to restore reminder", "error");
+  }
+}
+
+/**
+ * Permanently delete a reminder from the trash
+ * @param {string} id - Reminder ID
+ */
+async function handleDeleteForever(id) {
+  if (!confirm("Delete this reminder permanently? This action cannot be undone.")) {
+    return;
+  }
+  
+  try {
+    await deleteFromTrash((reminder) => String(reminder.id) === String(id));
+    showNotification("Reminder deleted permanently", "success");
+    await loadTrash();
+  } catch (error) {
+    console.error("Error deleting reminder:", error);
+    showNotification(error.message || "Unable to delete reminder. Please try again.", "error");
+  }
+}
+
+/**
+ * Permanently delete everything in the trash
+ */
+async function handleEmptyTrash() {
+  if (!confirm(`Permanently delete ${trash.length} reminder${trash.length !== 1 ? "s" : ""}? This action cannot be undone.`)) {
+    return;
+  }
+  
+  try {
+    const count = await deleteFromTrash(() => true);
+    showNotification(`Deleted ${count} reminder${count !== 1 ? "s" : ""} permanently`, "success");
+    await loadTrash();
+  } catch (error) {
+    console.error("Error emptying trash:", error);
+    showNotification("Unable to empty the trash", "error");
+  }
+}
+
+/**
+ * Start editing a reminder
+ * @param {string} id - Reminder ID
+ */
+function startEdit(id) {
+  editingId = id;
+  renderReminders();
+  // Focus text input after render
+  requestAnimationFrame(() => {
+    const textInput = document.querySelector(`.edit-text-input[data-id="${id}"]`);
+    textInput?.focus();
+  });
+}
+
+/**
+ * Cancel editing
+ */
+function cancelEdit() {
+  editingId = null;
+  renderReminders();
+}
+
+/**
+ * Save edited reminder
+ * @param {string} id - Reminder ID
+ */
+async function saveEdit(id) {
+  const textInput = document.querySelector(`.edit-text-input[data-id="${id}"]`);
+  const datetimeInput = document.querySelector(`.edit-datetime-input[data-id="${id}"]`);
 
   if (!textInput || !datetimeInput) {
     showNotification("Unable to find reminder fields", "error");
@@ -506,202 +1430,1301 @@ async function saveEdit(id) {
   const selectedTime = new Date(dateTime).getTime();
   const reminder = reminders.find((r) => r.id === id);
   
-  if (!reminder) {
-    showNotification("Reminder not found", "error");
-    return;
+  if (!reminder) {
+    showNotification("Reminder not found", "error");
+    return;
+  }
+
+  const editForm = textInput.closest(".edit-form");
+  let recurrence;
+  let tags;
+  let url;
+  let preAlerts;
+  try {
+    recurrence = buildRecurrence(readRepeatPicker(getRepeatPicker(editForm)), selectedTime);
+    tags = parseTags(editForm.querySelector(".edit-tags-input").value);
+    url = normalizeReminderUrl(editForm.querySelector(".edit-url-input").value);
+    preAlerts = parsePreAlerts(editForm.querySelector(".edit-pre-alerts-input").value);
+  } catch (error) {
+    showNotification(error.message, "error");
+    return;
+  }
+
+  const scheduledTime = getFirstOccurrenceTime(recurrence, selectedTime);
+  const timeMode = editForm.querySelector(".edit-time-mode-input").value;
+  const updated = {
+    ...reminder,
+    text,
+    scheduledTime,
+    alarmName: createAlarmName({ id: reminder.id, scheduledTime }),
+    // A changed rule starts a new series
+    occurrence: JSON.stringify(recurrence) !== JSON.stringify(reminder.recurrence || null) ? 1 : reminder.occurrence,
+    recurrence,
+    tags,
+    priority: normalizePriority(editForm.querySelector(".edit-priority-input").value),
+    notes: editForm.querySelector(".edit-notes-input").value.trim(),
+    url,
+    preAlerts,
+    timeMode,
+    // A time picked here is local; fixed reminders keep the zone they were set in until their time changes
+    timeZone: scheduledTime !== Number(reminder.scheduledTime) || timeMode === "floating" ? getLocalTimeZone() : reminder.timeZone,
+  };
+
+  try {
+    // Save first, so a rejected edit leaves the reminder and its alarms as they were
+    await saveReminder(updated);
+    const saved = normalizeReminder(updated);
+    await syncReminderAlarms([reminder], [saved]);
+    await recordChange("Edited a reminder", [reminder], [saved]);
+
+    editingId = null;
+    showNotification("Reminder updated successfully!", "success");
+    await loadReminders();
+  } catch (error) {
+    console.error("Error updating reminder:", error);
+    showNotification(error.message || "Unable to update reminder. Please try again.", "error");
+  }
+}
+
+/**
+ * Handle dismiss with undo
+ * @param {string} id - Reminder ID
+ */
+async function handleDismiss(id) {
+  try {
+    const result = await commitReminderChange([id], getBulkChange("dismiss"), () => "Dismissed a reminder");
+    if (result.before.length === 0) {
+      showNotification("Reminder not found", "error");
+      return;
+    }
+    
+    showNotificationWithUndo("Reminder dismissed", handleUndo);
+    await loadReminders();
+  } catch (error) {
+    console.error("Error dismissing reminder:", error);
+    showNotification("Unable to dismiss reminder", "error");
+  }
+}
+
+/**
+ * Handle delete: moves the reminder to the trash, with undo
+ * @param {string} id - Reminder ID
+ */
+async function handleDelete(id) {
+  try {
+    const result = await commitReminderChange([id], getBulkChange("delete"), () => "Moved a reminder to trash");
+    if (result.before.length === 0) {
+      showNotification("Reminder not found", "error");
+      return;
+    }
+    
+    showNotificationWithUndo("Moved to trash", handleUndo);
+    await Promise.all([loadReminders(), loadTrash()]);
+  } catch (error) {
+    console.error("Error deleting reminder:", error);
+    showNotification(error.message || "Unable to delete reminder. Please try again.", "error");
+  }
+}
+
+/**
+ * Handle add new reminder form submission
+ * @param {Event} e - Form submit event
+ */
+async function handleAddReminder(e) {
+  e.preventDefault();
+  
+  const textInput = document.getElementById("new-reminder-text");
+  const datetimeInput = document.getElementById("new-reminder-datetime");
+  const addForm = document.getElementById("add-reminder-form");
+  
+  if (!textInput || !datetimeInput || !addForm) {
+    showNotification("Form elements not found", "error");
+    return;
+  }
+  
+  const { text, recurrence: phraseRecurrence } = addFormQuickAdd.resolve();
+  const dateTime = datetimeInput.value;
+  
+  if (!text) {
+    showNotification("Please enter what you'd like to be reminded about", "error");
+    textInput.focus();
+    return;
+  }
+
+  const validation = validateFutureDateTime(dateTime);
+  if (!validation.valid) {
+    showNotification(validation.error, "error");
+    datetimeInput.focus();
+    return;
+  }
+  
+  const selectedTime = new Date(dateTime).getTime();
+  const repeatPicker = getRepeatPicker(addForm);
+  
+  const tagsInput = document.getElementById("new-reminder-tags");
+  const priorityInput = document.getElementById("new-reminder-priority");
+  const urlInput = document.getElementById("new-reminder-url");
+  const notesInput = document.getElementById("new-reminder-notes");
+  const preAlertsInput = document.getElementById("new-reminder-pre-alerts");
+  const timeModeInput = document.getElementById("new-reminder-time-mode");
+  
+  let recurrence;
+  let tags;
+  let url;
+  let preAlerts;
+  try {
+    recurrence = buildRecurrence(readRepeatPicker(repeatPicker), selectedTime) || phraseRecurrence;
+    tags = parseTags(tagsInput.value);
+    url = normalizeReminderUrl(urlInput.value);
+    preAlerts = parsePreAlerts(preAlertsInput.value);
+  } catch (error) {
+    showNotification(error.message, "error");
+    return;
+  }
+  
+  try {
+    const reminder = createReminderObject(text, selectedTime, {
+      recurrence,
+      tags,
+      priority: priorityInput.value,
+      notes: notesInput.value,
+      url,
+      preAlerts,
+      timeMode: timeModeInput.value,
+    });
+    
+    await saveReminder(reminder);
+    await scheduleReminder(reminder);
+    
+    // Reset form
+    textInput.value = "";
+    datetimeInput.value = "";
+    tagsInput.value = "";
+    priorityInput.value = DEFAULT_PRIORITY;
+    urlInput.value = "";
+    notesInput.value = "";
+    preAlertsInput.value = "";
+    timeModeInput.value = currentSettings.defaultTimeMode;
+    datetimeInput.min = getMinDateTime();
+    resetRepeatPicker(repeatPicker);
+    addFormQuickAdd.reset();
+    
+    // Hide form
+    addForm.style.display = "none";
+    
+    showNotification("Reminder created successfully!", "success");
+    await loadReminders();
+  } catch (error) {
+    console.error("Error creating reminder:", error);
+    showNotification(error.message || "Unable to create reminder. Please try again.", "error");
+  }
+}
+
+/**
+ * Render the preset chips of the add form; one click creates the reminder at that time
+ */
+function renderAddFormPresets() {
+  renderPresetChips(document.getElementById("new-reminder-presets"), currentSettings.quickPickPresets, (scheduledTime) => {
+    document.getElementById("new-reminder-datetime").value = formatDateTimeLocal(scheduledTime);
+    document.getElementById("add-reminder-form").requestSubmit();
+  });
+}
+
+/**
+ * Toggle add reminder form visibility
+ * Opening the form fills in the default pre-alerts
+ */
+async function toggleAddForm() {
+  const form = document.getElementById("add-reminder-form");
+  const isVisible = form.style.display !== "none";
+  
+  if (isVisible) {
+    form.style.display = "none";
+  } else {
+    const settings = await getSettings();
+    document.getElementById("new-reminder-pre-alerts").value = formatPreAlerts(settings.defaultPreAlerts);
+    document.getElementById("new-reminder-time-mode").value = settings.defaultTimeMode;
+    renderAddFormPresets();
+    form.style.display = "block";
+    const datetimeInput = document.getElementById("new-reminder-datetime");
+    datetimeInput.min = getMinDateTime();
+    document.getElementById("new-reminder-text").focus();
+  }
+}
+
+/**
+ * Fill the settings form from stored settings
+ */
+async function loadSettingsForm() {
+  const settings = await getSettings();
+  document.getElementById("setting-snooze-minutes").value = settings.snoozeMinutes.join(", ");
+  document.getElementById("setting-missed-action").value = settings.missedReminderAction;
+  document.getElementById("setting-trash-retention").value = settings.trashRetentionDays;
+  document.getElementById("setting-pre-alerts").value = formatPreAlerts(settings.defaultPreAlerts);
+  document.getElementById("setting-time-format").value = settings.timeFormat;
+  document.getElementById("setting-week-start").value = String(settings.weekStartsOn);
+  document.getElementById("setting-default-sort").value = settings.defaultSort;
+  document.getElementById("setting-default-offset").value = settings.defaultOffsetMinutes;
+  document.getElementById("setting-presets").value = settings.quickPickPresets.join("\n");
+  document.getElementById("setting-title-template").value = settings.notificationTitleTemplate;
+  document.getElementById("setting-auto-archive").value = settings.autoArchiveDays;
+  document.getElementById("setting-badge-mode").value = settings.badgeMode;
+  document.getElementById("setting-default-time-mode").value = settings.defaultTimeMode;
+  await renderCommandShortcuts();
+}
+
+/**
+ * List the browser keyboard shortcuts declared in the manifest with the keys currently bound to them
+ */
+async function renderCommandShortcuts() {
+  const list = document.getElementById("command-shortcuts");
+  const commands = await chrome.commands.getAll();
+  
+  list.innerHTML = "";
+  commands.forEach((command) => {
+    const item = document.createElement("li");
+    const keys = document.createElement("kbd");
+    keys.textContent = command.shortcut || "Not set";
+    const description = document.createElement("span");
+    description.textContent = command.description;
+    item.append(keys, description);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Apply settings that change how the dashboard looks (clock, week start, quick button, presets)
+ * Called on load and whenever the settings change
+ */
+function applyDashboardSettings() {
+  document.querySelectorAll("#today-button-dashboard, .edit-today-button").forEach((button) => {
+    button.textContent = getDefaultReminderLabel();
+  });
+  renderAddFormPresets();
+  document.getElementById("grouped-layout").checked = currentSettings.groupedLayout;
+  if (reminders.length > 0) {
+    showReminders();
+  }
+}
+
+/**
+ * Toggle settings form visibility
+ */
+async function toggleSettingsForm() {
+  const form = document.getElementById("settings-form");
+  const isVisible = form.style.display !== "none";
+  
+  if (isVisible) {
+    form.style.display = "none";
+  } else {
+    await loadSettingsForm();
+    form.style.display = "block";
+  }
+}
+
+/**
+ * Handle settings form submission
+ * @param {Event} e - Form submit event
+ */
+async function handleSaveSettings(e) {
+  e.preventDefault();
+  
+  // The input being read, so a validation error can focus the field it came from
+  let input = null;
+  const read = (key, id, parse = (value) => value) => {
+    input = document.getElementById(id);
+    const value = parse(input.value);
+    validateSettings({ ...currentSettings, [key]: value });
+    return value;
+  };
+  
+  try {
+    const updates = {
+      snoozeMinutes: read("snoozeMinutes", "setting-snooze-minutes", parseSnoozeMinutes),
+      missedReminderAction: read("missedReminderAction", "setting-missed-action"),
+      trashRetentionDays: read("trashRetentionDays", "setting-trash-retention", Number),
+      defaultPreAlerts: read("defaultPreAlerts", "setting-pre-alerts", parsePreAlerts),
+      timeFormat: read("timeFormat", "setting-time-format"),
+      weekStartsOn: read("weekStartsOn", "setting-week-start", Number),
+      defaultSort: read("defaultSort", "setting-default-sort"),
+      defaultOffsetMinutes: read("defaultOffsetMinutes", "setting-default-offset", Number),
+      quickPickPresets: read("quickPickPresets", "setting-presets", parseQuickPickPresets),
+      notificationTitleTemplate: read("notificationTitleTemplate", "setting-title-template", (value) => value.trim()),
+      autoArchiveDays: read("autoArchiveDays", "setting-auto-archive", Number),
+      badgeMode: read("badgeMode", "setting-badge-mode"),
+      defaultTimeMode: read("defaultTimeMode", "setting-default-time-mode"),
+    };
+    input = null;
+    const settings = await saveSettings(updates);
+    await purgeExpiredTrash(settings.trashRetentionDays);
+    await archiveCompletedReminders(settings.autoArchiveDays);
+    await loadTrash();
+    
+    document.getElementById("settings-form").style.display = "none";
+    showNotification("Settings saved", "success");
+  } catch (error) {
+    showNotification(error.message || "Unable to save settings. Please try again.", "error");
+    if (input) {
+      input.focus();
+    }
+  }
+}
+
+/**
+ * Toggle import/export panel visibility
+ */
+function toggleTransferPanel() {
+  const panel = document.getElementById("transfer-panel");
+  panel.style.display = panel.style.display !== "none" ? "none" : "block";
+}
+
+/**
+ * Download text content as a file
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export reminders as JSON or iCalendar
+ * @param {string} format - "json" or "ics"
+ */
+function handleExport(format) {
+  const scope = document.getElementById("export-scope").value;
+  const toExport = scope === "filtered" ? filteredReminders : reminders;
+  
+  if (toExport.length === 0) {
+    showNotification("There are no reminders to export", "error");
+    return;
+  }
+  
+  const date = formatDateTimeLocal(Date.now()).slice(0, 10);
+  if (format === "ics") {
+    downloadFile(buildIcsExport(toExport), `notifybuddy-reminders-${date}.ics`, "text/calendar");
+  } else {
+    downloadFile(buildJsonExport(toExport), `notifybuddy-reminders-${date}.json`, "application/json");
+  }
+  
+  showNotification(`Exported ${toExport.length} reminder${toExport.length !== 1 ? "s" : ""}`, "success");
+}
+
+/**
+ * Read an import file and show the duplicate preview
+ * @param {Event} e - File input change event
+ */
+async function handleImportFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  try {
+    const content = await file.text();
+    const isIcs = file.name.toLowerCase().endsWith(".ics") || /^\s*BEGIN:VCALENDAR/.test(content);
+    const incoming = isIcs ? parseIcsImport(content) : parseJsonImport(content);
+    
+    if (incoming.length === 0) {
+      throw new Error("No reminders found in this file");
+    }
+    
+    pendingImport = findImportDuplicates(reminders, incoming);
+    renderImportPreview();
+  } catch (error) {
+    console.error("Error reading import file:", error);
+    showNotification(error.message || "Unable to read this file", "error");
+    cancelImport();
+  }
+}
+
+/**
+ * Render the import preview with a conflict choice per duplicate
+ */
+function renderImportPreview() {
+  const preview = document.getElementById("import-preview");
+  const duplicates = pendingImport.filter((entry) => entry.duplicate);
+  const newCount = pendingImport.length - duplicates.length;
+  const conflictOptions = `
+    <option value="skip">Skip</option>
+    <option value="overwrite">Overwrite existing</option>
+    <option value="keep">Keep both</option>
+  `;
+  
+  preview.innerHTML = `
+    <p class="import-summary">
+      Found ${pendingImport.length} reminder${pendingImport.length !== 1 ? "s" : ""}:
+      ${newCount} new, ${duplicates.length} already in NotifyBuddy.
+    </p>
+    ${duplicates.length > 0 ? `
+      <div class="transfer-row">
+        <label for="import-conflict-all" class="sort-label">For all duplicates:</label>
+        <select id="import-conflict-all" class="form-input repeat-select">${conflictOptions}</select>
+      </div>
+      <ul class="import-duplicates">
+        ${pendingImport.map((entry, index) => entry.duplicate ? `
+          <li class="import-duplicate">
+            <span class="import-duplicate-text">
+              ${escapeHtml(entry.reminder.text)}
+              <small>${formatDateTime(entry.reminder.scheduledTime)} • matches "${escapeHtml(entry.duplicate.text)}"</small>
+            </span>
+            <select class="form-input repeat-select import-conflict" data-index="${index}" aria-label="Conflict choice">${conflictOptions}</select>
+          </li>
+        ` : "").join("")}
+      </ul>
+    ` : ""}
+    <div class="form-actions">
+      <button type="button" id="confirm-import" class="btn-save">
+        <span class="btn-icon">✓</span>
+        Import
+      </button>
+      <button type="button" id="cancel-import" class="btn-cancel">
+        <span class="btn-icon">✕</span>
+        Cancel
+      </button>
+    </div>
+  `;
+  preview.style.display = "flex";
+  
+  const conflictAll = document.getElementById("import-conflict-all");
+  if (conflictAll) {
+    conflictAll.addEventListener("change", (e) => {
+      preview.querySelectorAll(".import-conflict").forEach((select) => {
+        select.value = e.target.value;
+      });
+    });
+  }
+  document.getElementById("confirm-import").addEventListener("click", applyImport);
+  document.getElementById("cancel-import").addEventListener("click", cancelImport);
+}
+
+/**
+ * Clear a pending import
+ */
+function cancelImport() {
+  pendingImport = null;
+  const preview = document.getElementById("import-preview");
+  preview.style.display = "none";
+  preview.innerHTML = "";
+  document.getElementById("import-file").value = "";
+}
+
+/**
+ * Prepare an imported reminder for storage
+ * Recurring reminders whose time has passed move on to their next occurrence; one-shot reminders
+ * whose time has passed are imported as completed, so they aren't reported as missed
+ * @param {Object} reminder - Imported reminder
+ * @returns {Object} Reminder ready to save
+ */
+function prepareImportedReminder(reminder) {
+  const prepared = { ...reminder };
+  
+  if (prepared.status === "active" && prepared.scheduledTime <= Date.now()) {
+    const next = prepared.recurrence ? getNextOccurrence(prepared) : null;
+    if (next) {
+      prepared.scheduledTime = next.scheduledTime;
+      prepared.occurrence = next.occurrence;
+    } else {
+      prepared.status = "completed";
+    }
+  }
+  
+  prepared.alarmName = `reminder-${prepared.id}-${prepared.scheduledTime}`;
+  return prepared;
+}
+
+/**
+ * Save the pending import using the chosen conflict resolutions
+ */
+async function applyImport() {
+  if (!pendingImport) return;
+  
+  const preview = document.getElementById("import-preview");
+  const toSave = [];
+  const replaced = [];
+  let pastCount = 0;
+  const addReminder = (reminder) => {
+    const prepared = prepareImportedReminder(reminder);
+    if (reminder.status === "active" && prepared.status !== "active") {
+      pastCount += 1;
+    }
+    toSave.push(prepared);
+  };
+  
+  pendingImport.forEach((entry, index) => {
+    if (!entry.duplicate) {
+      addReminder(entry.reminder);
+      return;
+    }
+    
+    const choice = preview.querySelector(`.import-conflict[data-index="${index}"]`).value;
+    if (choice === "overwrite") {
+      replaced.push(entry.duplicate);
+      addReminder({ ...entry.reminder, id: entry.duplicate.id });
+    } else if (choice === "keep") {
+      addReminder({ ...entry.reminder, id: generateReminderId() });
+    }
+  });
+  
+  try {
+    await saveReminders(toSave);
+    const saved = toSave.map(normalizeReminder);
+    // Replaced reminders lose all their alarms (snoozes and pre-alerts too), not just the main one
+    await syncReminderAlarms(replaced, saved);
+    // Undo trashes the imported reminders and puts back the ones they replaced
+    await recordChange(`Imported ${saved.length} reminder${saved.length !== 1 ? "s" : ""}`, replaced, saved);
+    
+    cancelImport();
+    showNotification(
+      `Imported ${toSave.length} reminder${toSave.length !== 1 ? "s" : ""}` +
+        (pastCount > 0 ? ` (${pastCount} already past, marked completed)` : ""),
+      "success"
+    );
+    await loadReminders();
+  } catch (error) {
+    console.error("Error importing reminders:", error);
+    showNotification(error.message || "Unable to import reminders. Please try again.", "error");
+  }
+}
+
+/**
+ * Switch the dashboard between the list and the calendar
+ * @param {string} view - "list" or "calendar"
+ */
+function setView(view) {
+  if (view === currentView) return;
+  currentView = view;
+  updateViewButtons();
+  applyFiltersAndSort();
+  if (view === "calendar") {
+    scrollCalendarToMorning();
+  }
+}
+
+/**
+ * Mark the active view and calendar range buttons as pressed
+ */
+function updateViewButtons() {
+  document.querySelectorAll("[data-view]").forEach((btn) => {
+    btn.setAttribute("aria-pressed", String(btn.getAttribute("data-view") === currentView));
+  });
+  document.querySelectorAll("[data-calendar-mode]").forEach((btn) => {
+    btn.setAttribute("aria-pressed", String(btn.getAttribute("data-calendar-mode") === calendarMode));
+  });
+}
+
+/**
+ * Switch the calendar between day, week and month
+ * @param {string} mode - "day", "week" or "month"
+ * @param {number} [date] - Timestamp of a day the calendar should show
+ */
+function setCalendarMode(mode, date = calendarDate) {
+  calendarMode = mode;
+  calendarDate = date;
+  updateViewButtons();
+  renderCalendar();
+  scrollCalendarToMorning();
+}
+
+/**
+ * Move the calendar one range back or forward, or back to today
+ * @param {number} step - -1, 1, or 0 for today
+ */
+function moveCalendar(step) {
+  if (step === 0) {
+    calendarDate = Date.now();
+  } else if (calendarMode === "month") {
+    const date = new Date(calendarDate);
+    calendarDate = new Date(date.getFullYear(), date.getMonth() + step, 1).getTime();
+  } else {
+    calendarDate = addDays(calendarDate, step * (calendarMode === "week" ? 7 : 1));
+  }
+  renderCalendar();
+}
+
+/**
+ * Get the days the calendar shows: one day, one week, or the six weeks around a month
+ * @returns {Array<number>} Local midnight timestamps
+ */
+function getCalendarDays() {
+  const date = new Date(calendarDate);
+  let start;
+  let length;
+  if (calendarMode === "day") {
+    start = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    length = 1;
+  } else if (calendarMode === "week") {
+    start = getWeekStart(date, currentSettings.weekStartsOn);
+    length = 7;
+  } else {
+    start = getWeekStart(new Date(date.getFullYear(), date.getMonth(), 1), currentSettings.weekStartsOn);
+    length = 42;
+  }
+  return Array.from({ length }, (_, index) => addDays(start, index));
+}
+
+/**
+ * Describe the range the calendar shows
+ * @param {Array<number>} days - Days from getCalendarDays
+ * @returns {string} Title such as "March 2026"
+ */
+function getCalendarTitle(days) {
+  const date = new Date(calendarDate);
+  if (calendarMode === "day") {
+    return date.toLocaleDateString(undefined, { weekday: "long", month: "long", day: "numeric", year: "numeric" });
+  }
+  if (calendarMode === "month") {
+    return date.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+  }
+  return `${formatDateOnly(days[0])} – ${formatDateOnly(days[days.length - 1])}`;
+}
+
+/**
+ * Render the calendar from the filtered reminders
+ * Overdue reminders are pinned to their own lane instead of the slot they missed
+ */
+function renderCalendar() {
+  const now = Date.now();
+  const days = getCalendarDays();
+  const isOverdue = (r) => r.status === "active" && r.scheduledTime < now;
+  const overdue = filteredReminders.filter(isOverdue).sort((a, b) => a.scheduledTime - b.scheduledTime);
+  const scheduled = filteredReminders.filter((r) => !isOverdue(r)).sort((a, b) => a.scheduledTime - b.scheduledTime);
+  
+  document.getElementById("calendar-title").textContent = getCalendarTitle(days);
+  
+  const overdueLane = document.getElementById("calendar-overdue");
+  overdueLane.style.display = overdue.length > 0 ? "flex" : "none";
+  overdueLane.innerHTML = overdue.length > 0
+    ? `<span class="calendar-lane-label">⚠️ Overdue (${overdue.length})</span>${overdue.map((r) => createCalendarEventHtml(r, true)).join("")}`
+    : "";
+  
+  const grid = document.getElementById("calendar-grid");
+  grid.className = `calendar-grid calendar-${calendarMode}`;
+  grid.innerHTML = calendarMode === "month"
+    ? createMonthGridHtml(days, scheduled, now)
+    : createTimeGridHtml(days, scheduled, now);
+}
+
+/**
+ * Build the day or week grid: one column per day, one row per hour
+ * @param {Array<number>} days - Days to show
+ * @param {Array} remindersList - Reminders to place, sorted by time
+ * @param {number} now - Current time
+ * @returns {string} HTML string
+ */
+function createTimeGridHtml(days, remindersList, now) {
+  const today = new Date(now).toDateString();
+  const header = days.map((day) => {
+    const date = new Date(day);
+    const label = date.toLocaleDateString(undefined, { weekday: "short", day: "numeric" });
+    return `<div class="calendar-day-header${date.toDateString() === today ? " today" : ""}">${escapeHtml(label)}</div>`;
+  }).join("");
+  
+  const rows = [];
+  for (let hour = 0; hour < 24; hour++) {
+    const hourLabel = formatTimeOfDay(new Date(2000, 0, 1, hour));
+    const cells = days.map((day) => {
+      const date = new Date(day);
+      const start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour).getTime();
+      const end = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour + 1).getTime();
+      const events = remindersList.filter((r) => r.scheduledTime >= start && r.scheduledTime < end);
+      const isPast = end <= now;
+      return `<div class="calendar-slot${isPast ? " past" : ""}" data-time="${start}" data-hour="${hour}">${events.map((r) => createCalendarEventHtml(r)).join("")}</div>`;
+    }).join("");
+    rows.push(`<div class="calendar-hour-label">${escapeHtml(hourLabel)}</div>${cells}`);
   }
+  
+  return `
+    <div class="calendar-time-grid" style="--calendar-days: ${days.length}">
+      <div class="calendar-corner"></div>${header}
+      ${rows.join("")}
+    </div>
+  `;
+}
 
-  try {
-    // Cancel existing alarm
-    await cancelReminderById(reminder.id, reminder.scheduledTime);
+/**
+ * Build the month grid: six weeks of day cells, each listing its first few reminders
+ * @param {Array<number>} days - Days to show
+ * @param {Array} remindersList - Reminders to place, sorted by time
+ * @param {number} now - Current time
+ * @returns {string} HTML string
+ */
+function createMonthGridHtml(days, remindersList, now) {
+  const month = new Date(calendarDate).getMonth();
+  const today = new Date(now).toDateString();
+  const header = days.slice(0, 7).map((day) => {
+    const label = new Date(day).toLocaleDateString(undefined, { weekday: "short" });
+    return `<div class="calendar-day-header">${escapeHtml(label)}</div>`;
+  }).join("");
+  
+  const cells = days.map((day) => {
+    const date = new Date(day);
+    const end = addDays(day, 1);
+    const events = remindersList.filter((r) => r.scheduledTime >= day && r.scheduledTime < end);
+    const shown = events.slice(0, CALENDAR_MONTH_CELL_LIMIT);
+    const hidden = events.length - shown.length;
+    const classes = [
+      "calendar-slot",
+      "calendar-month-cell",
+      date.getMonth() !== month ? "other-month" : "",
+      date.toDateString() === today ? "today" : "",
+      end <= now ? "past" : "",
+    ].filter(Boolean).join(" ");
+    return `
+      <div class="${classes}" data-time="${day}" data-day="true">
+        <span class="calendar-date-number">${date.getDate()}</span>
+        ${shown.map((r) => createCalendarEventHtml(r)).join("")}
+        ${hidden > 0 ? `<button type="button" class="calendar-more" data-calendar-day="${day}">+${hidden} more</button>` : ""}
+      </div>
+    `;
+  }).join("");
+  
+  return `<div class="calendar-month-grid">${header}${cells}</div>`;
+}
 
-    // Update reminder
-    reminder.text = text;
-    reminder.scheduledTime = Number(selectedTime);
-    reminder.alarmName = `reminder-${reminder.id}-${reminder.scheduledTime}`;
+/**
+ * Build a calendar entry for a reminder, colored by its status badge
+ * Only active reminders can be dragged to a new time
+ * @param {Object} reminder - Reminder object
+ * @param {boolean} [showDate] - Include the date in the time label (overdue lane)
+ * @returns {string} HTML string
+ */
+function createCalendarEventHtml(reminder, showDate = false) {
+  const badge = getStatusBadge(reminder.status);
+  const isActive = reminder.status === "active";
+  const time = showDate ? formatDateTime(reminder.scheduledTime) : formatTimeOfDay(new Date(reminder.scheduledTime));
+  const title = `${reminder.text} · ${formatDateTime(reminder.scheduledTime)} · ${badge.text}`;
+  return `
+    <div class="calendar-event status-${escapeHtml(reminder.status)}" data-id="${escapeHtml(String(reminder.id))}"
+         style="--event-color: ${badge.color}" draggable="${isActive}" title="${escapeHtml(title).replace(/"/g, "&quot;")}">
+      <span class="calendar-event-time">${badge.icon} ${escapeHtml(time)}</span>
+      <span class="calendar-event-text">${reminder.recurrence ? "🔁 " : ""}${escapeHtml(reminder.text)}</span>
+    </div>
+  `;
+}
 
-    await saveReminder(reminder);
-    await scheduleReminder(reminder);
+/**
+ * Scroll the day and week grids so the working day is in view
+ */
+function scrollCalendarToMorning() {
+  const grid = document.getElementById("calendar-grid");
+  const slot = grid.querySelector(`.calendar-slot[data-hour="${CALENDAR_SCROLL_HOUR}"]`);
+  const header = grid.querySelector(".calendar-day-header");
+  if (slot && header) {
+    grid.scrollTop = slot.offsetTop - header.offsetHeight;
+  }
+}
 
-    editingId = null;
-    showNotification("Reminder updated successfully!", "success");
-    await loadReminders();
-  } catch (error) {
-    console.error("Error updating reminder:", error);
-    showNotification(error.message || "Unable to update reminder. Please try again.", "error");
+/**
+ * Get the time a reminder dropped on a slot should move to
+ * Hour slots keep its minutes; month cells keep its time of day
+ * @param {HTMLElement} slot - Calendar slot
+ * @param {Object} reminder - Dragged reminder
+ * @returns {number} New scheduled time
+ */
+function getDropTime(slot, reminder) {
+  const slotDate = new Date(Number(slot.getAttribute("data-time")));
+  const current = new Date(reminder.scheduledTime);
+  if (slot.hasAttribute("data-day")) {
+    return new Date(slotDate.getFullYear(), slotDate.getMonth(), slotDate.getDate(), current.getHours(), current.getMinutes()).getTime();
   }
+  return new Date(slotDate.getFullYear(), slotDate.getMonth(), slotDate.getDate(), slotDate.getHours(), current.getMinutes()).getTime();
 }
 
 /**
- * Handle dismiss with undo
+ * Move a reminder to a new time from the calendar, with undo
+ * A pending snooze is dropped, since the reminder now has a time of its own
  * @param {string} id - Reminder ID
+ * @param {number} scheduledTime - New scheduled time
  */
-async function handleDismiss(id) {
-  const reminder = reminders.find((r) => r.id === id);
-  if (!reminder) {
-    showNotification("Reminder not found", "error");
+async function rescheduleReminder(id, scheduledTime) {
+  if (scheduledTime <= Date.now()) {
+    showNotification("Reminders can only be moved to a time in the future", "error");
     return;
   }
-
+  
   try {
-    // Store reminder for undo
-    lastDismissedReminder = { ...reminder };
-    
-    // Clear existing undo timeout
-    if (undoTimeout) {
-      clearTimeout(undoTimeout);
-    }
-    
-    await cancelReminderById(reminder.id, reminder.scheduledTime);
-    await updateReminderStatus(id, "dismissed");
+    const { before, after } = await updateRemindersBatch([id], (reminder) => {
+      if (reminder.status !== "active" || reminder.scheduledTime === scheduledTime) return reminder;
+      return {
+        ...reminder,
+        scheduledTime,
+        snoozedUntil: null,
+        timeZone: getLocalTimeZone(),
+        alarmName: createAlarmName({ id: reminder.id, scheduledTime }),
+      };
+    });
+    if (before.length === 0) return;
     
-    // Show notification with undo button
-    showNotificationWithUndo("Reminder dismissed", handleUndoDismiss);
+    await cancelReminderById(before[0].id, before[0].scheduledTime);
+    await cancelReminderById(before[0].id, before[0].snoozedUntil);
+    await scheduleReminder(after[0]);
+    await recordChange("Rescheduled a reminder", before, after);
     
+    showNotificationWithUndo(`Moved to ${formatDateTime(scheduledTime)}`, handleUndo);
     await loadReminders();
-    
-    // Clear undo option after 5 seconds
-    undoTimeout = setTimeout(() => {
-      lastDismissedReminder = null;
-    }, 5000);
   } catch (error) {
-    console.error("Error dismissing reminder:", error);
-    showNotification("Unable to dismiss reminder", "error");
+    console.error("Error rescheduling reminder:", error);
+    showNotification(error.message || "Unable to reschedule reminder", "error");
   }
 }
 
 /**
- * Handle undo dismiss
+ * Open the add form with its date and time set
+ * Times that have already passed fall back to the default reminder time
+ * @param {number} scheduledTime - Timestamp to prefill
+ */
+async function openAddFormAt(scheduledTime) {
+  await openPanel("add-reminder-form", toggleAddForm);
+  document.getElementById("new-reminder-datetime").value = scheduledTime > Date.now()
+    ? formatDateTimeLocal(scheduledTime)
+    : getDefaultReminderDateTime();
+  document.getElementById("new-reminder-text").focus();
+}
+
+/**
+ * Handle clicks inside the calendar: entries open their card, empty slots open the add form
+ * @param {MouseEvent} e - Click event
  */
-async function handleUndoDismiss() {
-  if (!lastDismissedReminder) return;
+function handleCalendarClick(e) {
+  const nav = e.target.closest("[data-calendar-nav]");
+  const mode = e.target.closest("[data-calendar-mode]");
+  const more = e.target.closest("[data-calendar-day]");
+  const event = e.target.closest(".calendar-event");
+  const slot = e.target.closest(".calendar-slot");
   
-  try {
-    const reminder = lastDismissedReminder;
-    
-    // Restore reminder to active status
-    await updateReminderStatus(reminder.id, "active");
-    
-    // Reschedule alarm if it's in the future
-    if (reminder.scheduledTime > Date.now()) {
-      reminder.alarmName = `reminder-${reminder.id}-${reminder.scheduledTime}`;
-      await scheduleReminder(reminder);
+  if (nav) {
+    moveCalendar(Number(nav.getAttribute("data-calendar-nav")));
+  } else if (mode) {
+    setCalendarMode(mode.getAttribute("data-calendar-mode"));
+  } else if (more) {
+    setCalendarMode("day", Number(more.getAttribute("data-calendar-day")));
+  } else if (event) {
+    jumpToReminder(event.getAttribute("data-id"));
+  } else if (slot && !slot.classList.contains("past")) {
+    const time = Number(slot.getAttribute("data-time"));
+    if (slot.hasAttribute("data-day")) {
+      const date = new Date(time);
+      openAddFormAt(new Date(date.getFullYear(), date.getMonth(), date.getDate(), CALENDAR_MONTH_SLOT_HOUR).getTime());
+    } else {
+      openAddFormAt(time);
     }
-    
-    lastDismissedReminder = null;
-    if (undoTimeout) {
-      clearTimeout(undoTimeout);
-      undoTimeout = null;
+  }
+}
+
+/**
+ * Wire up drag-and-drop rescheduling on the calendar
+ * @param {HTMLElement} calendarView - Calendar container
+ */
+function bindCalendarDragAndDrop(calendarView) {
+  const clearDropTargets = () => {
+    calendarView.querySelectorAll(".drop-target").forEach((el) => el.classList.remove("drop-target"));
+  };
+  
+  calendarView.addEventListener("dragstart", (e) => {
+    const event = e.target.closest(".calendar-event[draggable='true']");
+    if (!event) return;
+    draggedReminderId = event.getAttribute("data-id");
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", draggedReminderId);
+    event.classList.add("dragging");
+  });
+  
+  calendarView.addEventListener("dragover", (e) => {
+    const slot = e.target.closest(".calendar-slot");
+    if (!draggedReminderId || !slot || slot.classList.contains("past")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    if (!slot.classList.contains("drop-target")) {
+      clearDropTargets();
+      slot.classList.add("drop-target");
     }
-    
-    showNotification("Reminder restored", "success");
-    await loadReminders();
-  } catch (error) {
-    console.error("Error undoing dismiss:", error);
-    showNotification("Unable to restore reminder", "error");
+  });
+  
+  calendarView.addEventListener("dragleave", (e) => {
+    const slot = e.target.closest(".calendar-slot");
+    if (slot && !slot.contains(e.relatedTarget)) {
+      slot.classList.remove("drop-target");
+    }
+  });
+  
+  calendarView.addEventListener("drop", (e) => {
+    const slot = e.target.closest(".calendar-slot");
+    const reminder = reminders.find((r) => String(r.id) === draggedReminderId);
+    e.preventDefault();
+    clearDropTargets();
+    if (slot && reminder) {
+      rescheduleReminder(reminder.id, getDropTime(slot, reminder));
+    }
+  });
+  
+  calendarView.addEventListener("dragend", (e) => {
+    draggedReminderId = null;
+    clearDropTargets();
+    e.target.classList?.remove("dragging");
+  });
+}
+
+/**
+ * Open a dashboard panel if it's hidden and scroll it into view
+ * @param {string} panelId - Panel element ID
+ * @param {Function} toggle - Function that toggles the panel
+ */
+async function openPanel(panelId, toggle) {
+  const panel = document.getElementById(panelId);
+  if (panel.style.display === "none") {
+    await toggle();
   }
+  panel.scrollIntoView({ block: "nearest", behavior: "smooth" });
 }
 
 /**
- * Handle delete
+ * Show a reminder's card, focus and briefly highlight it, clearing the search or showing archived reminders if that hides it
  * @param {string} id - Reminder ID
- * @param {number} scheduledTime - Scheduled time timestamp
+ * @returns {boolean} Whether the reminder exists
  */
-async function handleDelete(id, scheduledTime) {
-  if (!confirm("Are you sure you want to delete this reminder? This action cannot be undone.")) {
-    return;
+function jumpToReminder(id) {
+  const reminder = reminders.find((r) => String(r.id) === String(id));
+  if (!reminder) return false;
+  
+  currentView = "list";
+  updateViewButtons();
+  const group = getReminderGroup(reminder);
+  if (currentSettings.groupedLayout && currentSettings.collapsedGroups.includes(group)) {
+    // Expand the section right away; saving it only re-renders once storage reports the change
+    currentSettings.collapsedGroups = currentSettings.collapsedGroups.filter((key) => key !== group);
+    toggleReminderGroup(group, false);
   }
+  if (reminder.archivedAt && !showArchived) {
+    showArchived = true;
+    document.getElementById("show-archived").checked = true;
+  }
+  
+  applyFiltersAndSort();
+  if (!filteredReminders.some((r) => String(r.id) === String(reminder.id))) {
+    setSearch("");
+  }
+  
+  const card = document.querySelector(`#reminders-list .reminder-item[data-id="${reminder.id}"]`);
+  if (card) {
+    card.focus({ preventScroll: true });
+    card.scrollIntoView({ block: "center", behavior: "smooth" });
+    card.classList.add("highlighted");
+    setTimeout(() => card.classList.remove("highlighted"), FIRED_HIGHLIGHT_MS);
+  }
+  return true;
+}
 
-  try {
-    await cancelReminderById(id, scheduledTime);
-    await deleteReminder(id);
-    showNotification("Reminder deleted", "success");
-    await loadReminders();
-  } catch (error) {
-    console.error("Error deleting reminder:", error);
-    showNotification(error.message || "Unable to delete reminder. Please try again.", "error");
+/**
+ * Jump to the reminder named in a "#reminder=<id>" deep link (the popup links rows this way)
+ * The hash is cleared afterwards so a reload doesn't jump again
+ */
+function handleDeepLink() {
+  const match = /^#reminder=(.+)$/.exec(location.hash);
+  if (!match) return;
+  
+  history.replaceState(null, "", `${location.pathname}${location.search}`);
+  if (!jumpToReminder(decodeURIComponent(match[1]))) {
+    showNotification("That reminder no longer exists", "error");
   }
 }
 
 /**
- * Handle add new reminder form submission
- * @param {Event} e - Form submit event
+ * Build the command palette entries: dashboard actions first, then one "Jump to" entry per reminder
+ * Commands that need a selection are only listed while reminders are selected
+ * @returns {Array<Object>} Commands ({ label, hint, run })
  */
-async function handleAddReminder(e) {
-  e.preventDefault();
+function getPaletteCommands() {
+  const count = selectedIds.size;
+  const selection = `${count} reminder${count !== 1 ? "s" : ""}`;
+  const commands = [
+    {
+      label: "New reminder",
+      run: async () => {
+        await openPanel("add-reminder-form", toggleAddForm);
+        document.getElementById("new-reminder-text").focus();
+      },
+    },
+  ];
   
-  const textInput = document.getElementById("new-reminder-text");
-  const datetimeInput = document.getElementById("new-reminder-datetime");
-  const addForm = document.getElementById("add-reminder-form");
+  if (count > 0) {
+    const snoozeMinutes = currentSettings.snoozeMinutes[0];
+    commands.push(
+      { label: "Snooze selected", hint: `${selection} · ${formatDuration(snoozeMinutes)}`, run: () => handleBulkAction("snooze", snoozeMinutes) },
+      { label: "Dismiss selected", hint: selection, run: () => handleBulkAction("dismiss") },
+      { label: "Delete selected", hint: selection, run: () => handleBulkAction("delete") },
+      { label: "Clear selection", hint: selection, run: () => { selectedIds = new Set(); selectionAnchorId = null; updateBulkToolbar(); } },
+    );
+  }
   
-  if (!textInput || !datetimeInput || !addForm) {
-    showNotification("Form elements not found", "error");
-    return;
+  commands.push(
+    { label: "Select all matching", run: toggleSelectAllMatching },
+    currentSettings.groupedLayout
+      ? { label: "Show as one list", run: () => setGroupedLayout(false) }
+      : { label: "Group by date", hint: "Overdue, Today, Tomorrow…", run: () => setGroupedLayout(true) },
+    { label: "Filter: overdue", hint: "due:overdue", run: () => setSearch("due:overdue") },
+    { label: "Filter: due today", hint: "due:today", run: () => setSearch("due:today") },
+    { label: "Filter: due this week", hint: "due:week", run: () => setSearch("due:week") },
+    { label: "Filter: active", hint: "status:active", run: () => setSearch("status:active") },
+    { label: "Filter: completed", hint: "status:completed", run: () => setSearch("status:completed") },
+    { label: "Filter: urgent", hint: "priority:urgent", run: () => setSearch("priority:urgent") },
+  );
+  if (currentSearch) {
+    commands.push({ label: "Clear search", hint: currentSearch, run: () => setSearch("") });
   }
   
-  const text = textInput.value.trim();
-  const dateTime = datetimeInput.value;
+  commands.push(
+    { label: "Export as JSON", run: () => handleExport("json") },
+    { label: "Export as iCalendar (.ics)", run: () => handleExport("ics") },
+    { label: "Import from file…", run: () => document.getElementById("import-file").click() },
+    { label: "Undo", hint: "Ctrl+Z", run: handleUndo },
+    { label: "Redo", hint: "Ctrl+Shift+Z", run: handleRedo },
+    { label: "Open settings", run: () => openPanel("settings-form", toggleSettingsForm) },
+    { label: "Open trash", hint: `${trash.length} item${trash.length !== 1 ? "s" : ""}`, run: () => openPanel("trash-panel", toggleTrashPanel) },
+    { label: "Keyboard shortcuts", hint: "?", run: toggleShortcutsHelp },
+  );
   
-  if (!text) {
-    showNotification("Please enter what you'd like to be reminded about", "error");
-    textInput.focus();
-    return;
-  }
+  reminders.forEach((reminder) => {
+    commands.push({
+      label: `Jump to: ${reminder.text}`,
+      hint: formatDateTime(reminder.scheduledTime),
+      run: () => jumpToReminder(reminder.id),
+    });
+  });
+  
+  return commands;
+}
 
-  const validation = validateFutureDateTime(dateTime);
-  if (!validation.valid) {
-    showNotification(validation.error, "error");
-    datetimeInput.focus();
+/**
+ * Render the palette entries matching the typed text (every word must appear in the label)
+ */
+function renderPalette() {
+  const input = document.getElementById("palette-input");
+  const list = document.getElementById("palette-list");
+  const words = input.value.toLowerCase().split(/\s+/).filter((word) => word.length > 0);
+  
+  paletteMatches = getPaletteCommands()
+    .filter((command) => words.every((word) => command.label.toLowerCase().includes(word)))
+    .slice(0, PALETTE_LIMIT);
+  paletteIndex = Math.min(paletteIndex, Math.max(paletteMatches.length - 1, 0));
+  
+  list.innerHTML = "";
+  if (paletteMatches.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "palette-empty";
+    empty.textContent = "No matching commands";
+    list.appendChild(empty);
     return;
   }
   
-  const selectedTime = new Date(dateTime).getTime();
-  
-  try {
-    const reminderId = generateReminderId();
-    const reminder = {
-      id: reminderId,
-      text: text,
-      scheduledTime: Number(selectedTime),
-      createdAt: Date.now(),
-      status: "active",
-      alarmName: `reminder-${reminderId}-${Number(selectedTime)}`,
-    };
+  paletteMatches.forEach((command, index) => {
+    const item = document.createElement("li");
+    item.className = "palette-item";
+    item.id = `palette-item-${index}`;
+    item.setAttribute("role", "option");
+    item.setAttribute("aria-selected", String(index === paletteIndex));
     
-    await saveReminder(reminder);
-    await scheduleReminder(reminder);
-    
-    // Reset form
-    textInput.value = "";
-    datetimeInput.value = "";
-    datetimeInput.min = getMinDateTime();
+    const label = document.createElement("span");
+    label.className = "palette-label";
+    label.textContent = command.label;
+    item.appendChild(label);
     
-    // Hide form
-    addForm.style.display = "none";
+    if (command.hint) {
+      const hint = document.createElement("span");
+      hint.className = "palette-hint";
+      hint.textContent = command.hint;
+      item.appendChild(hint);
+    }
     
-    showNotification("Reminder created successfully!", "success");
-    await loadReminders();
+    // Keep focus in the input while clicking
+    item.addEventListener("mousedown", (e) => e.preventDefault());
+    item.addEventListener("click", () => runPaletteCommand(index));
+    list.appendChild(item);
+  });
+  
+  input.setAttribute("aria-activedescendant", `palette-item-${paletteIndex}`);
+  document.getElementById(`palette-item-${paletteIndex}`).scrollIntoView({ block: "nearest" });
+}
+
+/**
+ * Close the palette and run one of its matching commands
+ * @param {number} index - Index into the matching commands
+ */
+async function runPaletteCommand(index) {
+  const command = paletteMatches[index];
+  if (!command) return;
+  
+  closeOverlays();
+  try {
+    await command.run();
   } catch (error) {
-    console.error("Error creating reminder:", error);
-    showNotification(error.message || "Unable to create reminder. Please try again.", "error");
+    console.error("Error running command:", error);
+    showNotification(error.message || "Unable to run that command", "error");
   }
 }
 
 /**
- * Toggle add reminder form visibility
+ * Show an overlay and focus an element in it; focus returns where it was when the overlay closes
+ * @param {string} overlayId - Overlay element ID
+ * @param {HTMLElement} focusTarget - Element to focus
  */
-function toggleAddForm() {
-  const form = document.getElementById("add-reminder-form");
-  const isVisible = form.style.display !== "none";
+function openOverlay(overlayId, focusTarget) {
+  closeOverlays();
+  overlayReturnFocus = document.activeElement;
+  document.getElementById(overlayId).style.display = "flex";
+  focusTarget.focus();
+}
+
+/**
+ * Close the command palette and the shortcuts overlay
+ * @returns {boolean} Whether an overlay was open
+ */
+function closeOverlays() {
+  const open = [...document.querySelectorAll(".overlay")].filter((overlay) => overlay.style.display !== "none");
+  open.forEach((overlay) => {
+    overlay.style.display = "none";
+  });
   
-  if (isVisible) {
-    form.style.display = "none";
-  } else {
-    form.style.display = "block";
-    const datetimeInput = document.getElementById("new-reminder-datetime");
-    datetimeInput.min = getMinDateTime();
-    document.getElementById("new-reminder-text").focus();
+  if (open.length > 0 && overlayReturnFocus && overlayReturnFocus.isConnected) {
+    overlayReturnFocus.focus({ preventScroll: true });
+  }
+  overlayReturnFocus = null;
+  return open.length > 0;
+}
+
+/**
+ * Check whether the command palette or the shortcuts overlay is open
+ * @returns {boolean} Whether an overlay is open
+ */
+function isOverlayOpen() {
+  return [...document.querySelectorAll(".overlay")].some((overlay) => overlay.style.display !== "none");
+}
+
+/**
+ * Open the command palette, or close it if it's open
+ */
+function togglePalette() {
+  if (document.getElementById("command-palette").style.display !== "none") {
+    closeOverlays();
+    return;
+  }
+  
+  const input = document.getElementById("palette-input");
+  input.value = "";
+  paletteIndex = 0;
+  renderPalette();
+  openOverlay("command-palette", input);
+}
+
+/**
+ * Show the keyboard shortcut cheat sheet, or hide it if it's shown
+ */
+function toggleShortcutsHelp() {
+  if (document.getElementById("shortcuts-help").style.display !== "none") {
+    closeOverlays();
+    return;
+  }
+  openOverlay("shortcuts-help", document.querySelector("#shortcuts-help .shortcuts-help"));
+}
+
+/**
+ * Handle keys typed in the palette: arrows pick a command, Enter runs it, Escape closes
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handlePaletteKey(e) {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (paletteMatches.length === 0) return;
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    paletteIndex = (paletteIndex + step + paletteMatches.length) % paletteMatches.length;
+    renderPalette();
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    runPaletteCommand(paletteIndex);
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    e.stopPropagation();
+    closeOverlays();
+  }
+}
+
+/**
+ * Handle dashboard keyboard shortcuts
+ * Ctrl/Cmd+K works everywhere; single keys are ignored while typing in a field or with an overlay open.
+ * d and Delete act on the selection when there is one, otherwise on the focused card.
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleShortcutKey(e) {
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === "k") {
+    e.preventDefault();
+    togglePalette();
+    return;
+  }
+  
+  if (e.key === "Escape") {
+    if (closeOverlays()) {
+      e.preventDefault();
+    } else if (editingId && e.target.closest(".edit-form")) {
+      e.preventDefault();
+      cancelEdit();
+    }
+    return;
+  }
+  
+  if (e.ctrlKey || e.metaKey || e.altKey || isOverlayOpen()) return;
+  if (e.target.closest("input:not([type=checkbox]), textarea, select, [contenteditable]")) return;
+  
+  const card = getFocusedCard();
+  const id = card ? card.getAttribute("data-id") : null;
+  const reminder = id ? reminders.find((r) => String(r.id) === id) : null;
+  const isActiveCard = reminder && reminder.status === "active" && card.getAttribute("data-editing") !== "true";
+  
+  switch (e.key) {
+    case "j":
+      moveCardFocus(1);
+      break;
+    case "k":
+      moveCardFocus(-1);
+      break;
+    case "e":
+      if (!isActiveCard) return;
+      startEdit(reminder.id);
+      break;
+    case "d":
+      if (selectedIds.size > 0) {
+        handleBulkAction("dismiss");
+      } else if (isActiveCard) {
+        handleDismiss(reminder.id);
+      }
+      break;
+    case "x":
+    case "X":
+      if (!id) return;
+      handleSelectClick(id, !selectedIds.has(id), e.shiftKey);
+      break;
+    case "Delete":
+      if (selectedIds.size > 0) {
+        handleBulkAction("delete");
+      } else if (reminder) {
+        handleDelete(reminder.id);
+      }
+      break;
+    case "/":
+      document.getElementById("search-input").focus();
+      break;
+    case "?":
+      toggleShortcutsHelp();
+      break;
+    default:
+      return;
   }
+  e.preventDefault();
 }
 
 /**
@@ -718,7 +2741,11 @@ function showNotification(message, type) {
     document.body.appendChild(notification);
   }
   
-  notification.innerHTML = `<span class="notification-message">${message}</span>`;
+  // Messages can quote reminder text and imported file content, so they are never parsed as HTML
+  const messageElement = document.createElement("span");
+  messageElement.className = "notification-message";
+  messageElement.textContent = message;
+  notification.replaceChildren(messageElement);
   notification.className = `notification notification-${type}`;
   notification.style.display = "block";
   
@@ -753,7 +2780,10 @@ function showNotificationWithUndo(message, undoCallback) {
     notification.style.display = "none";
   };
   
-  notification.innerHTML = `<span class="notification-message">${message}</span>`;
+  const messageElement = document.createElement("span");
+  messageElement.className = "notification-message";
+  messageElement.textContent = message;
+  notification.replaceChildren(messageElement);
   notification.appendChild(undoButton);
   notification.className = `notification notification-success notification-with-undo`;
   notification.style.display = "flex";
@@ -771,34 +2801,123 @@ function showNotificationWithUndo(message, undoCallback) {
  * Initialize options page
  */
 document.addEventListener("DOMContentLoaded", () => {
-  loadReminders();
+  // Settings decide the sort order and date format, so load them before the reminders
+  getSettings()
+    .then(async (settings) => {
+      currentSort = settings.defaultSort;
+      document.getElementById("sort-select").value = currentSort;
+      applyDashboardSettings();
+      await loadReminders();
+      handleDeepLink();
+      await purgeExpiredTrash(settings.trashRetentionDays);
+    })
+    .catch((error) => console.error("Error loading dashboard:", error))
+    .finally(() => {
+      loadTrash();
+      updateHistoryButtons();
+    });
   
-  // Listen for storage changes to refresh reminders when they're added/updated/deleted from popup
+  // The popup reuses an open dashboard by changing its hash
+  window.addEventListener("hashchange", handleDeepLink);
+  
+  // Keep the dashboard in sync with changes from the popup, the service worker and other tabs
   chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName === "local" && changes.reminders) {
-      // Reload reminders when storage changes
-      loadReminders();
+    if (areaName !== "local") return;
+    
+    if (changes.reminders) {
+      handleRemindersChanged(changes.reminders.newValue);
+    }
+    if (changes[TRASH_KEY]) {
+      trash = Array.isArray(changes[TRASH_KEY].newValue) ? changes[TRASH_KEY].newValue : [];
+      renderTrash();
+    }
+    if (changes[UNDO_HISTORY_KEY] || changes[REDO_HISTORY_KEY]) {
+      updateHistoryButtons();
+    }
+    if (changes[SETTINGS_KEY]) {
+      applyDashboardSettings();
+    }
+  });
+  
+  // Undo/redo and trash
+  document.getElementById("undo-button").addEventListener("click", handleUndo);
+  document.getElementById("redo-button").addEventListener("click", handleRedo);
+  document.getElementById("toggle-trash").addEventListener("click", toggleTrashPanel);
+  document.getElementById("empty-trash").addEventListener("click", handleEmptyTrash);
+  
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest("input, textarea, select, [contenteditable]")) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      handleUndo();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      handleRedo();
     }
   });
   
+  // Command palette, cheat sheet and single-key shortcuts
+  document.addEventListener("keydown", handleShortcutKey);
+  document.getElementById("palette-input").addEventListener("input", () => {
+    paletteIndex = 0;
+    renderPalette();
+  });
+  document.getElementById("palette-input").addEventListener("keydown", handlePaletteKey);
+  document.querySelectorAll(".overlay").forEach((overlay) => {
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) {
+        closeOverlays();
+      }
+    });
+  });
+  
   // Add reminder form handlers
   const toggleButton = document.getElementById("toggle-add-form");
   const addForm = document.getElementById("add-reminder-form");
   const cancelButton = document.getElementById("cancel-add-form");
   const nextHourButton = document.getElementById("today-button-dashboard");
   
+  bindRepeatPicker(addForm);
+  addFormQuickAdd = bindNaturalLanguageInput({
+    textInput: document.getElementById("new-reminder-text"),
+    datetimeInput: document.getElementById("new-reminder-datetime"),
+    preview: document.getElementById("new-reminder-preview"),
+  });
+  
   toggleButton.addEventListener("click", toggleAddForm);
   addForm.addEventListener("submit", handleAddReminder);
   cancelButton.addEventListener("click", () => {
     addForm.style.display = "none";
     document.getElementById("new-reminder-text").value = "";
     document.getElementById("new-reminder-datetime").value = "";
+    document.getElementById("new-reminder-tags").value = "";
+    resetRepeatPicker(getRepeatPicker(addForm));
+    addFormQuickAdd.reset();
+  });
+  
+  // Settings form handlers
+  document.getElementById("toggle-settings").addEventListener("click", toggleSettingsForm);
+  document.getElementById("settings-form").addEventListener("submit", handleSaveSettings);
+  document.getElementById("cancel-settings").addEventListener("click", () => {
+    document.getElementById("settings-form").style.display = "none";
+  });
+  document.getElementById("edit-command-shortcuts").addEventListener("click", () => {
+    chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
   });
   
+  // Import/export handlers
+  document.getElementById("toggle-transfer").addEventListener("click", toggleTransferPanel);
+  document.getElementById("export-json").addEventListener("click", () => handleExport("json"));
+  document.getElementById("export-ics").addEventListener("click", () => handleExport("ics"));
+  document.getElementById("import-file").addEventListener("change", handleImportFile);
+  
   // Handle "Set to Next Hour" button in add form
   nextHourButton.addEventListener("click", () => {
     const datetimeInput = document.getElementById("new-reminder-datetime");
-    datetimeInput.value = getNextHourDateTime();
+    datetimeInput.value = getDefaultReminderDateTime();
   });
   
   // Search functionality
@@ -859,10 +2978,68 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
   
+  // List and calendar views
+  document.querySelectorAll("[data-view]").forEach((btn) => {
+    btn.addEventListener("click", () => setView(btn.getAttribute("data-view")));
+  });
+  const calendarView = document.getElementById("calendar-view");
+  calendarView.addEventListener("click", handleCalendarClick);
+  bindCalendarDragAndDrop(calendarView);
+  
+  // Bulk selection and actions
+  document.getElementById("select-all-matching").addEventListener("click", toggleSelectAllMatching);
+  document.getElementById("clear-selection").addEventListener("click", () => {
+    selectedIds = new Set();
+    selectionAnchorId = null;
+    updateBulkToolbar();
+  });
+  
+  document.querySelectorAll("#bulk-actions [data-bulk]").forEach((btn) => {
+    btn.addEventListener("click", async (e) => {
+      const action = e.currentTarget.getAttribute("data-bulk");
+      
+      if (action === "snooze") {
+        await handleBulkAction("snooze", currentSettings.snoozeMinutes[0]);
+        return;
+      }
+      if (action !== "tag") {
+        await handleBulkAction(action);
+        return;
+      }
+      
+      const input = prompt(`Add tags to ${selectedIds.size} reminder${selectedIds.size !== 1 ? "s" : ""} (e.g., #billing #oncall):`);
+      if (input === null) return;
+      try {
+        const tags = parseTags(input);
+        if (tags.length > 0) {
+          await handleBulkAction("tag", tags);
+        }
+      } catch (error) {
+        showNotification(error.message, "error");
+      }
+    });
+  });
+  
+  const bulkPrioritySelect = document.getElementById("bulk-priority");
+  bulkPrioritySelect.addEventListener("change", async (e) => {
+    const priority = e.target.value;
+    e.target.value = "";
+    if (priority) {
+      await handleBulkAction("priority", priority);
+    }
+  });
+  
   // Sort functionality
   const sortSelect = document.getElementById("sort-select");
   sortSelect.addEventListener("change", (e) => {
     currentSort = e.target.value;
     applyFiltersAndSort();
   });
+  
+  document.getElementById("show-archived").addEventListener("change", (e) => {
+    showArchived = e.target.checked;
+    applyFiltersAndSort();
+  });
+  
+  document.getElementById("grouped-layout").addEventListener("change", (e) => setGroupedLayout(e.target.checked));
 });
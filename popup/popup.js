@@ -1,5 +1,7 @@
 // Popup script for creating reminders
 
+const UPCOMING_LIMIT = 5;
+
 /**
  * Show message to user
  * @param {HTMLElement} element - Message element
@@ -39,22 +41,153 @@ function validateForm(text, dateTime) {
 }
 
 /**
- * Create reminder object
- * @param {string} text - Reminder text
- * @param {number} scheduledTime - Scheduled time timestamp
- * @returns {Object} Reminder object
+ * Fill the link field from the active tab
+ * The tab title becomes the reminder text when no text was entered yet
+ * @param {HTMLTextAreaElement} textInput - Reminder text input
+ * @param {HTMLInputElement} urlInput - Link input
+ * @returns {Promise<Object>} The active tab
+ * @throws {Error} If the tab has no web link
+ */
+async function attachCurrentTab(textInput, urlInput) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.url) {
+    throw new Error("Unable to read the current tab");
+  }
+  
+  urlInput.value = normalizeReminderUrl(tab.url);
+  if (!textInput.value.trim() && tab.title) {
+    textInput.value = tab.title;
+    textInput.dispatchEvent(new Event("input"));
+  }
+  
+  return tab;
+}
+
+/**
+ * Get the reminders listed under the form: every overdue reminder (see getOverdueSince), then the next few upcoming ones
+ * @param {Array} reminders - Array of reminder objects
+ * @param {number} [now] - Current time
+ * @returns {Array} Reminders, earliest first
+ */
+function getUpcomingReminders(reminders, now = Date.now()) {
+  const overdue = reminders
+    .filter((reminder) => getOverdueSince(reminder, now) !== null)
+    .sort((a, b) => getOverdueSince(a, now) - getOverdueSince(b, now));
+  const upcoming = reminders
+    .filter((reminder) => reminder.status === "active" && getOverdueSince(reminder, now) === null)
+    .sort((a, b) => Number(a.scheduledTime) - Number(b.scheduledTime))
+    .slice(0, UPCOMING_LIMIT);
+  return [...overdue, ...upcoming];
+}
+
+/**
+ * Create one row of the upcoming list
+ * @param {Object} reminder - Reminder object
+ * @returns {HTMLElement} List item
+ */
+function createUpcomingItem(reminder) {
+  const overdueSince = getOverdueSince(reminder);
+  const isOverdue = overdueSince !== null;
+  const item = document.createElement("li");
+  item.className = `upcoming-item${isOverdue ? " overdue" : ""}`;
+  item.setAttribute("data-id", reminder.id);
+  item.tabIndex = 0;
+  item.title = "Show in the dashboard";
+  
+  const info = document.createElement("div");
+  info.className = "upcoming-info";
+  const text = document.createElement("span");
+  text.className = "upcoming-text";
+  text.textContent = `${getPriorityLevel(reminder).icon} ${reminder.text}`;
+  const time = document.createElement("span");
+  time.className = "upcoming-time";
+  time.textContent = isOverdue ? `⚠ Overdue · ${getRelativeTime(overdueSince)}` : getRelativeTime(reminder.scheduledTime);
+  time.title = formatDateTime(isOverdue ? overdueSince : reminder.scheduledTime);
+  info.append(text, time);
+  
+  const actions = document.createElement("div");
+  actions.className = "upcoming-actions";
+  // Only reminders that have come due can be snoozed; snoozing a later one would ring it early
+  [
+    { action: "done", icon: "✓", title: reminder.recurrence && !reminder.firedAt ? "Done - skip to the next occurrence" : "Mark done" },
+    isOverdue && { action: "snooze", icon: "💤", title: `Snooze ${formatDuration(currentSettings.snoozeMinutes[0])}` },
+    { action: "dismiss", icon: "⊘", title: "Dismiss" },
+  ].filter(Boolean).forEach(({ action, icon, title }) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "upcoming-action";
+    button.setAttribute("data-action", action);
+    button.title = title;
+    button.setAttribute("aria-label", `${title}: ${reminder.text}`);
+    button.textContent = icon;
+    actions.appendChild(button);
+  });
+  
+  item.append(info, actions);
+  return item;
+}
+
+/**
+ * Render the overdue and upcoming reminders under the form
+ */
+async function renderUpcoming() {
+  const section = document.getElementById("upcoming-section");
+  const list = document.getElementById("upcoming-list");
+  const upcoming = getUpcomingReminders(await getAllReminders());
+  
+  list.innerHTML = "";
+  upcoming.forEach((reminder) => list.appendChild(createUpcomingItem(reminder)));
+  section.style.display = upcoming.length > 0 ? "block" : "none";
+}
+
+/**
+ * Mark done, snooze or dismiss a reminder from the upcoming list
+ * Alarms follow the change and it can be undone from the dashboard
+ * @param {string} id - Reminder ID
+ * @param {string} action - "done", "snooze" or "dismiss"
+ * @returns {Promise<string>} Message describing what happened
+ * @throws {Error} If the reminder no longer needs that change or the update fails
  */
-function createReminderObject(text, scheduledTime) {
-  const id = generateReminderId();
-  const scheduled = Number(scheduledTime);
-  return {
-    id,
-    text: text.trim(),
-    scheduledTime: scheduled,
-    createdAt: Date.now(),
-    status: "active",
-    alarmName: `reminder-${id}-${scheduled}`,
+async function handleUpcomingAction(id, action) {
+  const snoozeMinutes = currentSettings.snoozeMinutes[0];
+  const changes = {
+    done: (reminder) => completeReminder(reminder),
+    snooze: (reminder) => snoozeReminderFor(reminder, snoozeMinutes),
+    dismiss: (reminder) => ({ ...reminder, status: "dismissed", firedAt: null }),
   };
+  const labels = {
+    done: "Marked a reminder done",
+    snooze: `Snoozed a reminder for ${formatDuration(snoozeMinutes)}`,
+    dismiss: "Dismissed a reminder",
+  };
+  
+  const result = await updateRemindersBatch([id], changes[action]);
+  if (result.before.length === 0) {
+    throw new Error("That reminder has already changed");
+  }
+  
+  await syncReminderAlarms(result.before, result.after);
+  await recordChange(labels[action], result.before, result.after);
+  return labels[action];
+}
+
+/**
+ * Open the dashboard at a reminder's card, reusing an open dashboard tab
+ * @param {string} id - Reminder ID
+ */
+async function openReminderInDashboard(id) {
+  const dashboardUrl = chrome.runtime.getURL("options/options.html");
+  const url = `${dashboardUrl}#reminder=${encodeURIComponent(id)}`;
+  const tabs = await chrome.tabs.query({});
+  const existing = tabs.find((tab) => tab.url && tab.url.split("#")[0] === dashboardUrl);
+  
+  if (existing) {
+    await chrome.tabs.update(existing.id, { url, active: true });
+    await chrome.windows.update(existing.windowId, { focused: true });
+  } else {
+    await chrome.tabs.create({ url });
+  }
+  window.close();
 }
 
 /**
@@ -68,21 +201,75 @@ document.addEventListener("DOMContentLoaded", () => {
   const submitButton = document.getElementById("submit-button");
   const manageButton = document.getElementById("manage-button");
   const nextHourButton = document.getElementById("today-button");
+  const tagsInput = document.getElementById("reminder-tags");
+  const priorityInput = document.getElementById("reminder-priority");
+  const urlInput = document.getElementById("reminder-url");
+  const notesInput = document.getElementById("reminder-notes");
+  const attachTabButton = document.getElementById("attach-tab-button");
+  const preAlertsInput = document.getElementById("reminder-pre-alerts");
+  const repeatPicker = bindRepeatPicker(form);
+  const quickAdd = bindNaturalLanguageInput({
+    textInput,
+    datetimeInput,
+    preview: document.getElementById("reminder-preview"),
+  });
 
   // Set minimum datetime
   datetimeInput.min = getMinDateTime();
 
-  // Handle "Set to Next Hour" button click
+  // "Pick time…" in the context menu opens the form in its own window with the text and link filled in
+  const params = new URLSearchParams(location.search);
+  const isWindow = params.has("window");
+  if (params.get("text")) {
+    textInput.value = params.get("text");
+    textInput.dispatchEvent(new Event("input"));
+  }
+  if (params.get("url")) {
+    urlInput.value = params.get("url");
+  }
+
+  // Start with the default pre-alerts
+  let defaultPreAlerts = [];
+  getSettings().then((settings) => {
+    defaultPreAlerts = settings.defaultPreAlerts;
+    preAlertsInput.value = formatPreAlerts(defaultPreAlerts);
+    nextHourButton.textContent = getDefaultReminderLabel();
+    
+    // Snooze buttons in the list show the first snooze duration
+    renderUpcoming();
+    
+    // One click on a preset creates the reminder at that time
+    renderPresetChips(document.getElementById("preset-chips"), settings.quickPickPresets, (scheduledTime) => {
+      datetimeInput.value = formatDateTimeLocal(scheduledTime);
+      form.requestSubmit();
+    });
+  });
+
+  // Handle the quick button (next hour unless changed in settings)
   nextHourButton.addEventListener("click", () => {
-    datetimeInput.value = getNextHourDateTime();
+    datetimeInput.value = getDefaultReminderDateTime();
     datetimeInput.dispatchEvent(new Event("change"));
   });
 
+  // Handle "Current tab" button click
+  attachTabButton.addEventListener("click", async () => {
+    try {
+      const tab = await attachCurrentTab(textInput, urlInput);
+      showMessage(messageDiv, `📎 Attached "${tab.title || urlInput.value}"`, "success");
+      setTimeout(() => {
+        hideMessage(messageDiv);
+      }, 3000);
+    } catch (error) {
+      console.error("Error attaching current tab:", error);
+      showMessage(messageDiv, error.message || "Unable to attach the current tab", "error");
+    }
+  });
+
   // Handle form submission
   form.addEventListener("submit", async (e) => {
     e.preventDefault();
     
-    const text = textInput.value.trim();
+    const { text, recurrence: phraseRecurrence } = quickAdd.resolve();
     const dateTime = datetimeInput.value;
 
     // Validate input
@@ -94,6 +281,20 @@ document.addEventListener("DOMContentLoaded", () => {
 
     const selectedTime = new Date(dateTime).getTime();
     
+    let recurrence;
+    let tags;
+    let url;
+    let preAlerts;
+    try {
+      recurrence = buildRecurrence(readRepeatPicker(repeatPicker), selectedTime) || phraseRecurrence;
+      tags = parseTags(tagsInput.value);
+      url = normalizeReminderUrl(urlInput.value);
+      preAlerts = parsePreAlerts(preAlertsInput.value);
+    } catch (error) {
+      showMessage(messageDiv, error.message, "error");
+      return;
+    }
+    
     // Set loading state
     submitButton.disabled = true;
     const buttonIcon = submitButton.querySelector(".button-icon");
@@ -108,7 +309,15 @@ document.addEventListener("DOMContentLoaded", () => {
     hideMessage(messageDiv);
 
     try {
-      const reminder = createReminderObject(text, selectedTime);
+      const reminder = createReminderObject(text, selectedTime, {
+        recurrence,
+        tags,
+        priority: priorityInput.value,
+        notes: notesInput.value,
+        url,
+        preAlerts,
+        timeMode: currentSettings.defaultTimeMode,
+      });
 
       // Save reminder and schedule alarm
       await saveReminder(reminder);
@@ -118,7 +327,20 @@ document.addEventListener("DOMContentLoaded", () => {
       showMessage(messageDiv, "✓ Reminder created successfully!", "success");
       textInput.value = "";
       datetimeInput.value = "";
+      tagsInput.value = "";
+      urlInput.value = "";
+      notesInput.value = "";
+      priorityInput.value = DEFAULT_PRIORITY;
+      preAlertsInput.value = formatPreAlerts(defaultPreAlerts);
       datetimeInput.min = getMinDateTime();
+      resetRepeatPicker(repeatPicker);
+      quickAdd.reset();
+
+      // A window opened from the context menu has done its job
+      if (isWindow) {
+        setTimeout(() => window.close(), 1200);
+        return;
+      }
 
       // Clear message after 3 seconds
       setTimeout(() => {
@@ -137,6 +359,45 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   });
 
+  // Upcoming reminders - inline actions, or open the reminder in the dashboard
+  const upcomingList = document.getElementById("upcoming-list");
+  upcomingList.addEventListener("click", async (e) => {
+    const item = e.target.closest(".upcoming-item");
+    if (!item) return;
+    
+    const id = item.getAttribute("data-id");
+    const button = e.target.closest(".upcoming-action");
+    try {
+      if (!button) {
+        await openReminderInDashboard(id);
+        return;
+      }
+      
+      button.disabled = true;
+      const label = await handleUpcomingAction(id, button.getAttribute("data-action"));
+      showMessage(messageDiv, `✓ ${label}`, "success");
+      setTimeout(() => {
+        hideMessage(messageDiv);
+      }, 3000);
+    } catch (error) {
+      console.error("Error updating reminder:", error);
+      showMessage(messageDiv, error.message || "Unable to update the reminder", "error");
+      await renderUpcoming();
+    }
+  });
+  upcomingList.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && e.target.classList.contains("upcoming-item")) {
+      e.preventDefault();
+      openReminderInDashboard(e.target.getAttribute("data-id"));
+    }
+  });
+  
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && (changes[STORAGE_KEY] || changes[SETTINGS_KEY])) {
+      renderUpcoming();
+    }
+  });
+
   // Handle manage button click
   manageButton.addEventListener("click", () => {
     chrome.runtime.openOptionsPage();
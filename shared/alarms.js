@@ -11,7 +11,31 @@ function createAlarmName(reminder) {
 }
 
 /**
- * Schedule an alarm for a reminder
+ * Create alarm name for a pre-alert
+ * Format: "reminder-{id}-{scheduledTime}-pre{minutes}"
+ * @param {Object} reminder - Reminder object
+ * @param {number} minutes - Minutes before the scheduled time
+ * @returns {string} Alarm name
+ */
+function createPreAlertAlarmName(reminder, minutes) {
+  return `${createAlarmName(reminder)}-pre${minutes}`;
+}
+
+/**
+ * Get the pre-alert alarms of a reminder's scheduled time
+ * @param {Object} reminder - Reminder object
+ * @returns {Array<Object>} Alarms as { name, when }, including ones already in the past
+ */
+function getPreAlertAlarms(reminder) {
+  const scheduledTime = Number(reminder.scheduledTime);
+  return (reminder.preAlerts || []).map((minutes) => ({
+    name: createPreAlertAlarmName(reminder, minutes),
+    when: scheduledTime - minutes * 60 * 1000,
+  }));
+}
+
+/**
+ * Schedule an alarm for a reminder, plus its pre-alerts that are still ahead
  * @param {Object} reminder - Reminder object
  * @throws {Error} If reminder is invalid or time is in the past
  */
@@ -32,6 +56,12 @@ async function scheduleReminder(reminder) {
     await chrome.alarms.create(alarmName, {
       when: scheduledTime,
     });
+    
+    for (const preAlert of getPreAlertAlarms(reminder)) {
+      if (preAlert.when > now) {
+        await chrome.alarms.create(preAlert.name, { when: preAlert.when });
+      }
+    }
   } catch (error) {
     console.error("Failed to create alarm:", error);
     throw error;
@@ -39,7 +69,121 @@ async function scheduleReminder(reminder) {
 }
 
 /**
- * Cancel an alarm by ID and scheduled time
+ * Get the alarms a reminder should have: its next time with its pre-alerts and, if set, a pending snooze
+ * @param {Object} reminder - Reminder object
+ * @returns {Array<Object>} Alarms as { name, when }; empty for reminders that are not active
+ */
+function getReminderAlarms(reminder) {
+  if (!reminder || reminder.status !== "active") return [];
+  
+  const times = [Number(reminder.scheduledTime)];
+  if (reminder.snoozedUntil) {
+    times.push(Number(reminder.snoozedUntil));
+  }
+  return [
+    ...times.map((when) => ({ name: createAlarmName({ id: reminder.id, scheduledTime: when }), when })),
+    ...getPreAlertAlarms(reminder),
+  ];
+}
+
+/**
+ * Bring alarms in line after reminders changed
+ * Clears alarms the old versions had that the new versions don't need, and arms future alarms of the new versions
+ * @param {Array} previous - Reminders before the change
+ * @param {Array} next - The same reminders after the change (deleted ones left out)
+ */
+async function syncReminderAlarms(previous, next) {
+  const wanted = next.flatMap(getReminderAlarms);
+  const wantedNames = new Set(wanted.map((alarm) => alarm.name));
+  const now = Date.now();
+  
+  for (const alarm of previous.flatMap(getReminderAlarms)) {
+    if (!wantedNames.has(alarm.name)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+  
+  for (const alarm of wanted) {
+    if (alarm.when > now) {
+      await chrome.alarms.create(alarm.name, { when: alarm.when });
+    }
+  }
+}
+
+/**
+ * Get since when a reminder needs attention: it rang and wasn't answered yet (clicked, snoozed,
+ * marked done or closed), or its time passed without an alarm
+ * @param {Object} reminder - Reminder object
+ * @param {number} [now] - Current time
+ * @returns {number|null} Timestamp in milliseconds, or null if the reminder isn't overdue
+ */
+function getOverdueSince(reminder, now = Date.now()) {
+  if (reminder.status === "dismissed" || reminder.archivedAt) return null;
+  if (reminder.firedAt) return Number(reminder.firedAt);
+  if (reminder.status === "active" && Number(reminder.scheduledTime) <= now) return Number(reminder.scheduledTime);
+  return null;
+}
+
+/**
+ * Snooze a reminder from now, like the snooze button of its notification
+ * Active recurring reminders keep their next occurrence (it anchors the series) and get an extra alarm.
+ * A snooze never moves a reminder earlier: one-shot reminders that aren't due yet are pushed back from their own time.
+ * @param {Object} reminder - Reminder object
+ * @param {number} minutes - Snooze duration in minutes
+ * @returns {Object} Snoozed reminder (syncReminderAlarms moves its alarms)
+ */
+function snoozeReminderFor(reminder, minutes) {
+  const now = Date.now();
+  const snoozedUntil = now + minutes * 60 * 1000;
+  const snoozeCount = (Number(reminder.snoozeCount) || 0) + 1;
+  const currentTime = Number(reminder.scheduledTime);
+  
+  if (reminder.recurrence && reminder.status === "active") {
+    return { ...reminder, snoozedUntil, snoozeCount, firedAt: null };
+  }
+  const scheduledTime = !reminder.recurrence && reminder.status === "active" && currentTime > now
+    ? currentTime + minutes * 60 * 1000
+    : snoozedUntil;
+  return {
+    ...reminder,
+    status: "active",
+    scheduledTime,
+    snoozeCount,
+    firedAt: null,
+    alarmName: createAlarmName({ id: reminder.id, scheduledTime }),
+  };
+}
+
+/**
+ * Mark a reminder done before or after it rang, dropping any pending snooze
+ * One-time reminders are completed; recurring ones skip to the next occurrence after now and after
+ * their current one, and are completed once the series has ended. A recurring reminder whose ring
+ * wasn't answered yet keeps its next occurrence
+ * @param {Object} reminder - Reminder object
+ * @param {number} [now] - Current time
+ * @returns {Object} Updated reminder (syncReminderAlarms moves its alarms)
+ */
+function completeReminder(reminder, now = Date.now()) {
+  // A recurring reminder that rang already moved on, so marking that ring done only answers it
+  if (reminder.recurrence && reminder.firedAt && reminder.status === "active") {
+    return { ...reminder, snoozedUntil: null, firedAt: null };
+  }
+  const next = reminder.recurrence ? getNextOccurrence(reminder, Math.max(now, Number(reminder.scheduledTime))) : null;
+  if (!next) {
+    return { ...reminder, status: "completed", snoozedUntil: null, firedAt: null };
+  }
+  return {
+    ...reminder,
+    scheduledTime: next.scheduledTime,
+    occurrence: next.occurrence,
+    snoozedUntil: null,
+    firedAt: null,
+    alarmName: createAlarmName({ id: reminder.id, scheduledTime: next.scheduledTime }),
+  };
+}
+
+/**
+ * Cancel an alarm by ID and scheduled time, along with its pre-alerts
  * @param {string} id - Reminder ID
  * @param {number} scheduledTime - Scheduled time timestamp
  */
@@ -47,4 +191,12 @@ async function cancelReminderById(id, scheduledTime) {
   if (!id || !scheduledTime) return;
   const alarmName = `reminder-${id}-${scheduledTime}`;
   await chrome.alarms.clear(alarmName);
+  
+  const preAlertPrefix = `${alarmName}-pre`;
+  const alarms = await chrome.alarms.getAll();
+  for (const alarm of alarms) {
+    if (alarm.name.startsWith(preAlertPrefix)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
 }
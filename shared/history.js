@@ -0,0 +1,224 @@
+// Trash and undo/redo history for reminder changes
+// Both live in storage, so they survive reloads and are shared by every open dashboard
+
+const UNDO_HISTORY_KEY = "undoHistory";
+const REDO_HISTORY_KEY = "redoHistory";
+const HISTORY_LIMIT = 50;
+
+/**
+ * Get the undo and redo stacks
+ * @returns {Promise<Object>} { undo, redo }: history entries, most recent last
+ */
+async function getHistory() {
+  try {
+    const result = await chrome.storage.local.get([UNDO_HISTORY_KEY, REDO_HISTORY_KEY]);
+    return {
+      undo: Array.isArray(result[UNDO_HISTORY_KEY]) ? result[UNDO_HISTORY_KEY] : [],
+      redo: Array.isArray(result[REDO_HISTORY_KEY]) ? result[REDO_HISTORY_KEY] : [],
+    };
+  } catch (error) {
+    console.error("Error getting history:", error);
+    return { undo: [], redo: [] };
+  }
+}
+
+/**
+ * Record a change so it can be undone
+ * Recording a new change clears the redo stack
+ * @param {string} label - What the change did (e.g., "Dismissed 3 reminders")
+ * @param {Array} before - Reminder versions before the change (reminders that were created are left out)
+ * @param {Array} after - Reminder versions after the change (trashed reminders are left out)
+ * @throws {Error} If storage fails
+ */
+async function recordChange(label, before, after) {
+  if (before.length === 0 && after.length === 0) return;
+  
+  const entry = { id: generateReminderId(), label, at: Date.now(), before, after };
+  try {
+    await mutateStoredLists([UNDO_HISTORY_KEY], (lists) => ({
+      [UNDO_HISTORY_KEY]: [...lists[UNDO_HISTORY_KEY], entry].slice(-HISTORY_LIMIT),
+      [REDO_HISTORY_KEY]: [],
+    }));
+  } catch (error) {
+    console.error("Error recording change:", error);
+    throw error;
+  }
+}
+
+/**
+ * Serialize a value with object keys in a fixed order, so equal reminders compare equal
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter((key) => value[key] !== undefined).map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Check that the stored reminders are still the versions a history entry left them in
+ * Reminders missing from the expected versions must be missing from the list (trashed or never created)
+ * @param {Array} reminders - Stored reminder list
+ * @param {Array} expected - Versions the entry expects
+ * @param {Array} other - The entry's versions on the other side, for IDs missing from expected
+ * @returns {Array|null} The stored versions of the expected reminders, or null if any reminder changed since
+ */
+function getExpectedVersions(reminders, expected, other) {
+  const storedById = new Map(reminders.map((r) => [String(r.id), r]));
+  const expectedIds = new Set(expected.map((r) => String(r.id)));
+  if (other.some((r) => !expectedIds.has(String(r.id)) && storedById.has(String(r.id)))) {
+    return null;
+  }
+  
+  const stored = expected.map((r) => storedById.get(String(r.id)));
+  const unchanged = stored.every((r, index) => r && stableStringify(normalizeReminder(r)) === stableStringify(normalizeReminder(expected[index])));
+  return unchanged ? stored : null;
+}
+
+/**
+ * Move the latest entry from one history stack to the other, applying it to the reminders
+ * If a reminder changed since the entry was recorded (e.g., it fired, moved to its next occurrence or was
+ * snoozed), the entry is dropped instead, so the newer state isn't silently reverted
+ * @param {string} fromKey - Stack to take the entry from
+ * @param {string} toKey - Stack to put the entry on
+ * @param {boolean} isUndo - Whether to restore the entry's "before" versions (otherwise its "after" versions)
+ * @returns {Promise<Object|null>} The entry, or null if the stack was empty
+ * @throws {Error} If the reminders changed since the entry was recorded, or storage fails
+ */
+async function stepHistory(fromKey, toKey, isUndo) {
+  let entry = null;
+  let stored = null;
+  let target = [];
+  
+  await mutateStoredLists([STORAGE_KEY, TRASH_KEY, fromKey, toKey], (lists) => {
+    const stack = lists[fromKey];
+    if (stack.length === 0) return null;
+    
+    entry = stack[stack.length - 1];
+    const current = isUndo ? entry.after : entry.before;
+    target = isUndo ? entry.before : entry.after;
+    stored = getExpectedVersions(lists[STORAGE_KEY], current, target);
+    if (!stored) {
+      return { [fromKey]: stack.slice(0, -1) };
+    }
+    
+    const next = replaceReminderVersions(lists[STORAGE_KEY], lists[TRASH_KEY], stored, target);
+    return {
+      [STORAGE_KEY]: next.reminders,
+      [TRASH_KEY]: next.trash,
+      [fromKey]: stack.slice(0, -1),
+      [toKey]: [...lists[toKey], entry].slice(-HISTORY_LIMIT),
+    };
+  });
+  
+  if (entry && !stored) {
+    throw new Error(`Can't ${isUndo ? "undo" : "redo"} "${entry.label}": the reminder changed since`);
+  }
+  if (entry) {
+    // Clear the alarms the stored versions had, not the recorded ones
+    await syncReminderAlarms(stored, target);
+  }
+  return entry;
+}
+
+/**
+ * Undo the latest recorded change and re-arm the alarms of restored reminders
+ * @returns {Promise<Object|null>} The undone entry, or null if there was nothing to undo
+ * @throws {Error} If storage fails
+ */
+async function undoLastChange() {
+  try {
+    return await stepHistory(UNDO_HISTORY_KEY, REDO_HISTORY_KEY, true);
+  } catch (error) {
+    console.error("Error undoing change:", error);
+    throw error;
+  }
+}
+
+/**
+ * Redo the latest undone change
+ * @returns {Promise<Object|null>} The redone entry, or null if there was nothing to redo
+ * @throws {Error} If storage fails
+ */
+async function redoLastChange() {
+  try {
+    return await stepHistory(REDO_HISTORY_KEY, UNDO_HISTORY_KEY, false);
+  } catch (error) {
+    console.error("Error redoing change:", error);
+    throw error;
+  }
+}
+
+/**
+ * Restore reminders from the trash and re-arm their alarms
+ * @param {Array<string>} ids - Reminder IDs
+ * @returns {Promise<Array>} Restored reminders
+ * @throws {Error} If storage fails
+ */
+async function restoreFromTrash(ids) {
+  const idSet = new Set(ids.map(String));
+  let restored = [];
+  
+  try {
+    await mutateStoredLists([STORAGE_KEY, TRASH_KEY], (lists) => {
+      restored = lists[TRASH_KEY]
+        .filter((r) => idSet.has(String(r.id)))
+        .map(({ deletedAt, ...reminder }) => normalizeReminder(reminder));
+      if (restored.length === 0) return null;
+      
+      const next = replaceReminderVersions(lists[STORAGE_KEY], lists[TRASH_KEY], [], restored);
+      return { [STORAGE_KEY]: next.reminders, [TRASH_KEY]: next.trash };
+    });
+    
+    await syncReminderAlarms([], restored);
+    return restored;
+  } catch (error) {
+    console.error("Error restoring reminders:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete reminders from the trash for good
+ * History entries that mention them are dropped too, so undo can't bring them back
+ * @param {Function} shouldDelete - Receives a trashed reminder; returns true to delete it
+ * @returns {Promise<number>} Number of reminders deleted
+ * @throws {Error} If storage fails
+ */
+async function deleteFromTrash(shouldDelete) {
+  let deletedCount = 0;
+  
+  try {
+    await mutateStoredLists([TRASH_KEY, UNDO_HISTORY_KEY, REDO_HISTORY_KEY], (lists) => {
+      const deletedIds = new Set(lists[TRASH_KEY].filter(shouldDelete).map((r) => String(r.id)));
+      deletedCount = deletedIds.size;
+      if (deletedCount === 0) return null;
+      
+      const keepEntry = (entry) => ![...entry.before, ...entry.after].some((r) => deletedIds.has(String(r.id)));
+      return {
+        [TRASH_KEY]: lists[TRASH_KEY].filter((r) => !deletedIds.has(String(r.id))),
+        [UNDO_HISTORY_KEY]: lists[UNDO_HISTORY_KEY].filter(keepEntry),
+        [REDO_HISTORY_KEY]: lists[REDO_HISTORY_KEY].filter(keepEntry),
+      };
+    });
+    return deletedCount;
+  } catch (error) {
+    console.error("Error deleting reminders from trash:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete trashed reminders older than the retention period
+ * @param {number} retentionDays - Days to keep trashed reminders
+ * @returns {Promise<number>} Number of reminders deleted
+ */
+async function purgeExpiredTrash(retentionDays) {
+  const cutoff = Date.now() - Number(retentionDays) * 24 * 60 * 60 * 1000;
+  return deleteFromTrash((reminder) => Number(reminder.deletedAt) <= cutoff);
+}
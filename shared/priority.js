@@ -0,0 +1,81 @@
+// Priority levels for reminders
+
+const REMINDER_PRIORITIES = ["low", "normal", "high", "urgent"];
+const DEFAULT_PRIORITY = "normal";
+
+// rank orders priorities for sorting; notificationPriority is chrome.notifications priority (-2..2)
+const PRIORITY_LEVELS = {
+  low: {
+    label: "Low",
+    rank: 0,
+    notificationPriority: 0,
+    requireInteraction: false,
+    title: "NotifyBuddy Reminder · Low priority",
+    icon: "↓",
+  },
+  normal: {
+    label: "Normal",
+    rank: 1,
+    notificationPriority: 2,
+    requireInteraction: false,
+    title: "NotifyBuddy Reminder",
+    icon: "•",
+  },
+  high: {
+    label: "High",
+    rank: 2,
+    notificationPriority: 2,
+    requireInteraction: false,
+    title: "❗ NotifyBuddy · High priority",
+    icon: "↑",
+  },
+  urgent: {
+    label: "Urgent",
+    rank: 3,
+    notificationPriority: 2,
+    requireInteraction: true,
+    title: "🚨 NotifyBuddy · URGENT",
+    icon: "⚡",
+  },
+};
+
+/**
+ * Normalize a priority value, falling back to the default
+ * @param {string} priority - Priority value
+ * @returns {string} One of REMINDER_PRIORITIES
+ */
+function normalizePriority(priority) {
+  const value = String(priority || "").trim().toLowerCase();
+  return REMINDER_PRIORITIES.includes(value) ? value : DEFAULT_PRIORITY;
+}
+
+/**
+ * Get the display and notification settings for a reminder's priority
+ * @param {Object} reminder - Reminder object
+ * @returns {Object} Entry from PRIORITY_LEVELS
+ */
+function getPriorityLevel(reminder) {
+  return PRIORITY_LEVELS[normalizePriority(reminder && reminder.priority)];
+}
+
+/**
+ * Map a priority to an iCalendar PRIORITY value (1 = highest, 9 = lowest)
+ * @param {string} priority - Priority value
+ * @returns {number} iCalendar priority
+ */
+function priorityToIcs(priority) {
+  return { urgent: 1, high: 3, normal: 5, low: 9 }[normalizePriority(priority)];
+}
+
+/**
+ * Map an iCalendar PRIORITY value to a priority
+ * @param {string|number} value - iCalendar priority (0 = undefined)
+ * @returns {string} Priority value
+ */
+function priorityFromIcs(value) {
+  const number = Number(value);
+  if (number === 1) return "urgent";
+  if (number >= 2 && number <= 4) return "high";
+  if (number >= 6 && number <= 9) return "low";
+  return DEFAULT_PRIORITY;
+}
@@ -0,0 +1,405 @@
+// Search query language for filtering reminders
+//
+// Examples:
+//   status:active due:week           - active reminders due this week
+//   priority:urgent                  - urgent reminders
+//   "weekly report" -status:dismissed
+//   tag:billing OR tag:invoices
+//   before:2026-11-01 after:today
+//   created:2026-10-01..2026-10-31
+//   -(due:overdue OR status:completed)
+
+const QUERY_FIELDS = ["status", "priority", "before", "after", "due", "created", "tag"];
+const QUERY_STATUSES = ["active", "completed", "dismissed"];
+const QUERY_DUE_VALUES = ["today", "tomorrow", "week", "overdue", "upcoming"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Split a query string into tokens
+ * @param {string} input - Query string
+ * @returns {Array<Object>} Tokens ({ type, value, quoted, quoteOffset, negated, position })
+ * @throws {Error} If a quote is not closed
+ */
+function tokenizeQuery(input) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+    if (char === "(" || char === ")") {
+      tokens.push({ type: char, position: index });
+      index += 1;
+      continue;
+    }
+
+    const start = index;
+    let negated = false;
+    if (char === "-" && index + 1 < input.length && !/\s/.test(input[index + 1])) {
+      negated = true;
+      index += 1;
+    }
+
+    // Read a word, keeping quoted sections (e.g., "weekly report" or tag:"on call") together
+    let value = "";
+    let quoted = false;
+    let quoteOffset = Infinity;
+    while (index < input.length && !/[\s()]/.test(input[index])) {
+      if (input[index] === '"') {
+        const close = input.indexOf('"', index + 1);
+        if (close === -1) {
+          throw new Error(`Missing closing quote for the phrase starting at character ${index + 1}`);
+        }
+        quoteOffset = Math.min(quoteOffset, value.length);
+        value += input.slice(index + 1, close);
+        quoted = true;
+        index = close + 1;
+      } else {
+        value += input[index];
+        index += 1;
+      }
+    }
+
+    if (!quoted && !negated && value === "OR") {
+      tokens.push({ type: "OR", position: start });
+    } else if (value.length > 0 || quoted) {
+      tokens.push({ type: "term", value, quoted, quoteOffset, negated, position: start });
+    } else if (negated) {
+      // A lone "-" before a group, e.g. -(a OR b)
+      tokens.push({ type: "NOT", position: start });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a date value used by before:, after: and created:
+ * Accepts YYYY-MM-DD, "today", "tomorrow" and "yesterday"
+ * @param {string} value - Date value
+ * @param {Date} now - Reference time
+ * @returns {number} Local midnight timestamp of that day
+ * @throws {Error} If the value is not a date
+ */
+function parseQueryDate(value, now) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const keywords = { today: 0, tomorrow: 1, yesterday: -1 };
+  const lower = value.toLowerCase();
+
+  if (lower in keywords) {
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate() + keywords[lower]).getTime();
+  }
+
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (match) {
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (date.getMonth() === Number(match[2]) - 1) {
+      return date.getTime();
+    }
+  }
+
+  throw new Error(`"${value}" is not a date. Use YYYY-MM-DD, today, tomorrow or yesterday`);
+}
+
+/**
+ * Get the start of the week containing a date
+ * @param {Date} date - Date
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday, 1 = Monday)
+ * @returns {number} Local midnight timestamp
+ */
+function getWeekStart(date, weekStartsOn) {
+  const offset = (date.getDay() - weekStartsOn + 7) % 7;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset).getTime();
+}
+
+/**
+ * Add whole days to a local midnight timestamp
+ * @param {number} timestamp - Local midnight timestamp
+ * @param {number} days - Days to add
+ * @returns {number} Local midnight timestamp
+ */
+function addDays(timestamp, days) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days).getTime();
+}
+
+/**
+ * Build a field filter node from a "field:value" term
+ * @param {string} field - Field name
+ * @param {string} value - Field value
+ * @param {Object} context - { now, weekStartsOn }
+ * @returns {Object} Field node
+ * @throws {Error} If the field or value is invalid
+ */
+function createFieldNode(field, value, context) {
+  const lower = value.toLowerCase();
+
+  if (!value) {
+    throw new Error(`"${field}:" needs a value`);
+  }
+
+  switch (field) {
+    case "status":
+      if (!QUERY_STATUSES.includes(lower)) {
+        throw new Error(`Unknown status "${value}". Use ${QUERY_STATUSES.join(", ")}`);
+      }
+      return { type: "field", field, value: lower };
+    case "priority":
+      if (!REMINDER_PRIORITIES.includes(lower)) {
+        throw new Error(`Unknown priority "${value}". Use ${REMINDER_PRIORITIES.join(", ")}`);
+      }
+      return { type: "field", field, value: lower };
+    case "due":
+      if (!QUERY_DUE_VALUES.includes(lower)) {
+        throw new Error(`Unknown due value "${value}". Use ${QUERY_DUE_VALUES.join(", ")}`);
+      }
+      return { type: "field", field, value: lower };
+    case "before":
+      return { type: "field", field, to: parseQueryDate(value, context.now) };
+    case "after":
+      return { type: "field", field, from: addDays(parseQueryDate(value, context.now), 1) };
+    case "created": {
+      // created:DATE, created:FROM..TO (either side optional), created:>DATE, created:<DATE
+      let from = null;
+      let to = null;
+      if (value.includes("..")) {
+        const [start, end] = value.split("..");
+        from = start ? parseQueryDate(start, context.now) : null;
+        to = end ? addDays(parseQueryDate(end, context.now), 1) : null;
+      } else if (value.startsWith(">")) {
+        from = addDays(parseQueryDate(value.slice(1), context.now), 1);
+      } else if (value.startsWith("<")) {
+        to = parseQueryDate(value.slice(1), context.now);
+      } else {
+        from = parseQueryDate(value, context.now);
+        to = addDays(from, 1);
+      }
+      return { type: "field", field, from, to };
+    }
+    case "tag": {
+      const tag = normalizeTag(value);
+      if (!tag) {
+        throw new Error(`Invalid tag "${value}"`);
+      }
+      return { type: "field", field, value: tag };
+    }
+    default:
+      throw new Error(`Unknown filter "${field}:". Use ${QUERY_FIELDS.map((name) => `${name}:`).join(", ")}`);
+  }
+}
+
+/**
+ * Parse a search query into a query tree
+ * Words are ANDed, "OR" joins alternatives, "-" negates a term or group,
+ * quotes keep phrases together and parentheses group terms
+ * @param {string} input - Query string
+ * @param {Object} [options] - { now: Date, weekStartsOn: number }
+ * @returns {Object|null} Query tree, or null for an empty query
+ * @throws {Error} If the query has a syntax error
+ */
+function parseQuery(input, options = {}) {
+  const context = { now: options.now || new Date(), weekStartsOn: options.weekStartsOn ?? 1 };
+  const tokens = tokenizeQuery(String(input || ""));
+  let index = 0;
+
+  if (tokens.length === 0) return null;
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (index < tokens.length && tokens[index].type === "OR") {
+      index += 1;
+      if (index >= tokens.length || tokens[index].type === ")" || tokens[index].type === "OR") {
+        throw new Error("\"OR\" must be followed by a search term");
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (index < tokens.length && tokens[index].type !== "OR" && tokens[index].type !== ")") {
+      children.push(parseUnary());
+    }
+    if (children.length === 0) {
+      const token = tokens[index];
+      throw new Error(token && token.type === "OR"
+        ? "\"OR\" must come between two search terms"
+        : "Expected a search term");
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  };
+
+  const parseUnary = () => {
+    const token = tokens[index];
+
+    if (token.type === "NOT") {
+      index += 1;
+      if (index >= tokens.length || tokens[index].type !== "(") {
+        throw new Error("\"-\" must be followed by a search term");
+      }
+      return { type: "not", child: parseUnary() };
+    }
+
+    if (token.type === "(") {
+      index += 1;
+      const inner = parseOr();
+      if (index >= tokens.length || tokens[index].type !== ")") {
+        throw new Error("Missing closing parenthesis");
+      }
+      index += 1;
+      return inner;
+    }
+
+    index += 1;
+    // A colon only starts a filter after a known field name and before any quoted part;
+    // other words with colons (e.g., 14:30 or https://...) are searched as text
+    const colonIndex = token.value.indexOf(":");
+    const field = token.value.slice(0, colonIndex).toLowerCase();
+    let node;
+    if (colonIndex > 0 && colonIndex < token.quoteOffset && QUERY_FIELDS.includes(field)) {
+      node = createFieldNode(field, token.value.slice(colonIndex + 1), context);
+    } else {
+      node = { type: "text", value: token.value.toLowerCase() };
+    }
+    return token.negated ? { type: "not", child: node } : node;
+  };
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw new Error(tokens[index].type === ")" ? "Unexpected closing parenthesis" : "Unexpected search term");
+  }
+
+  return { ...tree, context };
+}
+
+/**
+ * Test a reminder against a single field node
+ * @param {Object} reminder - Reminder object
+ * @param {Object} node - Field node
+ * @param {Object} context - { now, weekStartsOn }
+ * @returns {boolean} Whether the reminder matches
+ */
+function matchesQueryField(reminder, node, context) {
+  const scheduledTime = Number(reminder.scheduledTime);
+  const now = context.now.getTime();
+  const today = new Date(context.now.getFullYear(), context.now.getMonth(), context.now.getDate()).getTime();
+
+  switch (node.field) {
+    case "status":
+      return reminder.status === node.value;
+    case "priority":
+      return normalizePriority(reminder.priority) === node.value;
+    case "tag":
+      return (reminder.tags || []).includes(node.value);
+    case "before":
+      return scheduledTime < node.to;
+    case "after":
+      return scheduledTime >= node.from;
+    case "created": {
+      const createdAt = Number(reminder.createdAt);
+      return (node.from === null || createdAt >= node.from) && (node.to === null || createdAt < node.to);
+    }
+    case "due":
+      switch (node.value) {
+        case "today":
+          return scheduledTime >= today && scheduledTime < addDays(today, 1);
+        case "tomorrow":
+          return scheduledTime >= addDays(today, 1) && scheduledTime < addDays(today, 2);
+        case "week": {
+          const weekStart = getWeekStart(context.now, context.weekStartsOn);
+          return scheduledTime >= weekStart && scheduledTime < addDays(weekStart, 7);
+        }
+        case "overdue":
+          return reminder.status === "active" && scheduledTime < now;
+        case "upcoming":
+          return reminder.status === "active" && scheduledTime >= now;
+        default:
+          return false;
+      }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Test a reminder against a parsed query
+ * Free text matches the reminder text, notes, link, tags and formatted date
+ * @param {Object} reminder - Reminder object
+ * @param {Object|null} query - Query tree from parseQuery
+ * @returns {boolean} Whether the reminder matches
+ */
+function matchesQuery(reminder, query) {
+  if (!query) return true;
+
+  const context = query.context;
+  const haystack = [
+    reminder.text,
+    reminder.notes || "",
+    reminder.url || "",
+    formatDateTime(reminder.scheduledTime),
+    ...(reminder.tags || []).map((tag) => `#${tag}`),
+  ].join("\n").toLowerCase();
+
+  const evaluate = (node) => {
+    switch (node.type) {
+      case "and":
+        return node.children.every(evaluate);
+      case "or":
+        return node.children.some(evaluate);
+      case "not":
+        return !evaluate(node.child);
+      case "text":
+        return haystack.includes(node.value);
+      case "field":
+        return matchesQueryField(reminder, node, context);
+      default:
+        return false;
+    }
+  };
+
+  return evaluate(query);
+}
+
+/**
+ * Filter reminders with a parsed query
+ * @param {Array} reminders - Reminder objects
+ * @param {Object|null} query - Query tree from parseQuery
+ * @returns {Array} Matching reminders
+ */
+function filterByQuery(reminders, query) {
+  return query ? reminders.filter((reminder) => matchesQuery(reminder, query)) : reminders;
+}
+
+/**
+ * Get the free-text terms of a query that should be highlighted (negated terms excluded)
+ * @param {Object|null} query - Query tree from parseQuery
+ * @returns {Array<string>} Lowercase terms
+ */
+function getQueryHighlightTerms(query) {
+  const terms = [];
+  const collect = (node) => {
+    if (node.type === "text") {
+      terms.push(node.value);
+    } else if (node.type === "and" || node.type === "or") {
+      node.children.forEach(collect);
+    }
+  };
+  if (query) collect(query);
+  return terms.filter((term) => term.length > 0);
+}
+
+/**
+ * Get the tags a query requires (top-level tag: filters only)
+ * @param {Object|null} query - Query tree from parseQuery
+ * @returns {Array<string>} Tag names
+ */
+function getQueryTags(query) {
+  if (!query) return [];
+  const nodes = query.type === "and" ? query.children : [query];
+  return nodes.filter((node) => node.type === "field" && node.field === "tag").map((node) => node.value);
+}
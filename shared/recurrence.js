@@ -0,0 +1,450 @@
+// Recurrence utilities for repeating reminders
+
+const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const WORKWEEK_DAYS = [1, 2, 3, 4, 5];
+const MAX_OCCURRENCE_STEPS = 10000;
+
+/**
+ * Validate a recurrence rule
+ * @param {Object|null} recurrence - Recurrence rule
+ * @throws {Error} If the rule is malformed
+ */
+function validateRecurrence(recurrence) {
+  if (!recurrence) return;
+  if (typeof recurrence !== "object") {
+    throw new Error("Invalid recurrence rule");
+  }
+  if (!RECURRENCE_FREQUENCIES.includes(recurrence.freq)) {
+    throw new Error(`Invalid repeat frequency: ${recurrence.freq}`);
+  }
+  if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1) {
+    throw new Error("Repeat interval must be a whole number of at least 1");
+  }
+  if (recurrence.byWeekday && !recurrence.byWeekday.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw new Error("Invalid repeat weekdays");
+  }
+  if (recurrence.count !== null && recurrence.count !== undefined && (!Number.isInteger(recurrence.count) || recurrence.count < 1)) {
+    throw new Error("Number of occurrences must be at least 1");
+  }
+  if (recurrence.until !== null && recurrence.until !== undefined && !(Number(recurrence.until) > 0)) {
+    throw new Error("Invalid repeat end date");
+  }
+}
+
+/**
+ * Parse an RFC 5545 RRULE string
+ * Supports FREQ, INTERVAL, BYDAY, COUNT and UNTIL (e.g., "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE")
+ * @param {string} rruleString - RRULE string, with or without the "RRULE:" prefix
+ * @returns {Object} Recurrence rule
+ * @throws {Error} If the string cannot be parsed
+ */
+function parseRRule(rruleString) {
+  const source = String(rruleString || "").trim().replace(/^RRULE:/i, "");
+  if (!source) {
+    throw new Error("Please enter a repeat rule (e.g., FREQ=WEEKLY;BYDAY=MO)");
+  }
+
+  const recurrence = { freq: null, interval: 1, byWeekday: null, until: null, count: null };
+
+  source.split(";").filter((part) => part.length > 0).forEach((part) => {
+    const [rawKey, rawValue = ""] = part.split("=");
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case "FREQ":
+        recurrence.freq = value.toLowerCase();
+        break;
+      case "INTERVAL":
+        recurrence.interval = Number(value);
+        break;
+      case "BYDAY":
+        recurrence.byWeekday = value.split(",").map((code) => {
+          const index = WEEKDAY_CODES.indexOf(code.trim());
+          if (index === -1) {
+            throw new Error(`Unsupported BYDAY value: ${code}`);
+          }
+          return index;
+        });
+        break;
+      case "COUNT":
+        recurrence.count = Number(value);
+        break;
+      case "UNTIL":
+        recurrence.until = parseRRuleDate(value);
+        break;
+      case "WKST":
+        break;
+      default:
+        throw new Error(`Unsupported repeat rule part: ${key}`);
+    }
+  });
+
+  if (!recurrence.freq) {
+    throw new Error("Repeat rule must include FREQ");
+  }
+  if (recurrence.byWeekday) {
+    recurrence.byWeekday = [...new Set(recurrence.byWeekday)].sort((a, b) => a - b);
+  }
+
+  validateRecurrence(recurrence);
+  return recurrence;
+}
+
+/**
+ * Parse an RRULE UNTIL value ("YYYYMMDD" or "YYYYMMDDTHHMMSS[Z]")
+ * @param {string} value - UNTIL value
+ * @returns {number} Timestamp in milliseconds
+ * @throws {Error} If the value is not a valid date
+ */
+function parseRRuleDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid UNTIL date: ${value}`);
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined) {
+    // Date-only values include the whole day
+    return new Date(Number(year), Number(month) - 1, Number(day), 23, 59, 59, 999).getTime();
+  }
+
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+  return utc ? Date.UTC(...parts) : new Date(...parts).getTime();
+}
+
+/**
+ * Format a recurrence rule as an RRULE string (without the "RRULE:" prefix)
+ * @param {Object} recurrence - Recurrence rule
+ * @returns {string} RRULE string
+ */
+function formatRRule(recurrence) {
+  if (!recurrence) return "";
+
+  const parts = [`FREQ=${recurrence.freq.toUpperCase()}`];
+  if (recurrence.interval > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+  if (recurrence.byWeekday && recurrence.byWeekday.length > 0) {
+    parts.push(`BYDAY=${recurrence.byWeekday.map((day) => WEEKDAY_CODES[day]).join(",")}`);
+  }
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  }
+  if (recurrence.until) {
+    const until = new Date(recurrence.until).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    parts.push(`UNTIL=${until}`);
+  }
+  return parts.join(";");
+}
+
+/**
+ * Build a recurrence rule from the repeat picker fields
+ * @param {Object} fields - Picker values ({ preset, rrule, end, until, count })
+ * @param {number} scheduledTime - First occurrence timestamp
+ * @returns {Object|null} Recurrence rule, or null for one-shot reminders
+ * @throws {Error} If the picker values are invalid
+ */
+function buildRecurrence(fields, scheduledTime) {
+  const preset = fields.preset || "none";
+  if (preset === "none") return null;
+
+  const start = new Date(Number(scheduledTime));
+  let recurrence;
+
+  switch (preset) {
+    case "daily":
+      recurrence = { freq: "daily", interval: 1, byWeekday: null, until: null, count: null };
+      break;
+    case "weekdays":
+      recurrence = { freq: "weekly", interval: 1, byWeekday: [...WORKWEEK_DAYS], until: null, count: null };
+      break;
+    case "weekly":
+      recurrence = { freq: "weekly", interval: 1, byWeekday: [start.getDay()], until: null, count: null };
+      break;
+    case "monthly":
+      recurrence = { freq: "monthly", interval: 1, byWeekday: null, until: null, count: null };
+      break;
+    case "custom":
+      recurrence = parseRRule(fields.rrule);
+      break;
+    default:
+      throw new Error(`Unknown repeat option: ${preset}`);
+  }
+
+  // A custom rule keeps its own COUNT/UNTIL unless the end picker overrides it
+  if (fields.end === "until") {
+    if (!fields.until) {
+      throw new Error("Please choose when the reminder should stop repeating");
+    }
+    const [year, month, day] = fields.until.split("-").map(Number);
+    recurrence.until = new Date(year, month - 1, day, 23, 59, 59, 999).getTime();
+    recurrence.count = null;
+    if (recurrence.until < Number(scheduledTime)) {
+      throw new Error("The repeat end date must be after the first reminder");
+    }
+  } else if (fields.end === "count") {
+    recurrence.count = Number(fields.count);
+    recurrence.until = null;
+  }
+
+  validateRecurrence(recurrence);
+  return recurrence;
+}
+
+/**
+ * Get repeat picker values for an existing recurrence rule
+ * @param {Object|null} recurrence - Recurrence rule
+ * @returns {Object} Picker values ({ preset, rrule, end, until, count })
+ */
+function getRecurrenceFields(recurrence) {
+  const fields = { preset: "none", rrule: "", end: "never", until: "", count: "" };
+  if (!recurrence) return fields;
+
+  const weekdays = recurrence.byWeekday || [];
+  if (recurrence.interval === 1 && recurrence.freq === "daily" && weekdays.length === 0) {
+    fields.preset = "daily";
+  } else if (recurrence.interval === 1 && recurrence.freq === "weekly" && weekdays.join(",") === WORKWEEK_DAYS.join(",")) {
+    fields.preset = "weekdays";
+  } else if (recurrence.interval === 1 && recurrence.freq === "weekly" && weekdays.length === 1) {
+    fields.preset = "weekly";
+  } else if (recurrence.interval === 1 && recurrence.freq === "monthly" && weekdays.length === 0) {
+    fields.preset = "monthly";
+  } else {
+    fields.preset = "custom";
+    fields.rrule = formatRRule({ ...recurrence, until: null, count: null });
+  }
+
+  if (recurrence.count) {
+    fields.end = "count";
+    fields.count = String(recurrence.count);
+  } else if (recurrence.until) {
+    const until = new Date(recurrence.until);
+    fields.end = "until";
+    fields.until = `${until.getFullYear()}-${String(until.getMonth() + 1).padStart(2, '0')}-${String(until.getDate()).padStart(2, '0')}`;
+  }
+
+  return fields;
+}
+
+/**
+ * Describe a recurrence rule for display (e.g., "Every 2 weeks on Mon, Wed")
+ * @param {Object|null} recurrence - Recurrence rule
+ * @returns {string} Human readable description, or empty string for one-shot reminders
+ */
+function describeRecurrence(recurrence) {
+  if (!recurrence) return "";
+
+  const units = { daily: "day", weekly: "week", monthly: "month", yearly: "year" };
+  const weekdays = recurrence.byWeekday || [];
+  let description;
+
+  if (recurrence.freq === "weekly" && recurrence.interval === 1 && weekdays.join(",") === WORKWEEK_DAYS.join(",")) {
+    description = "Every weekday";
+  } else {
+    const unit = units[recurrence.freq];
+    description = recurrence.interval === 1 ? `Every ${unit}` : `Every ${recurrence.interval} ${unit}s`;
+    if (weekdays.length > 0) {
+      description += ` on ${weekdays.map((day) => WEEKDAY_NAMES[day]).join(", ")}`;
+    }
+  }
+
+  if (recurrence.count) {
+    description += `, ${recurrence.count} time${recurrence.count > 1 ? "s" : ""}`;
+  } else if (recurrence.until) {
+    description += `, until ${formatDateOnly(recurrence.until)}`;
+  }
+
+  return description;
+}
+
+/**
+ * Get the number of whole weeks between the Monday-based weeks of two dates
+ * @param {Date} from - Earlier date
+ * @param {Date} to - Later date
+ * @returns {number} Week difference
+ */
+function getWeekDifference(from, to) {
+  const weekStart = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+  const days = Math.round((weekStart(to) - weekStart(from)) / (1000 * 60 * 60 * 24));
+  return Math.round(days / 7);
+}
+
+/**
+ * Move a first time onto a day its rule repeats on, keeping the time of day
+ * E.g., a weekday reminder set for a Saturday first rings on Monday, like its later occurrences
+ * @param {Object|null} recurrence - Recurrence rule
+ * @param {number} time - Picked timestamp
+ * @returns {number} Timestamp of the first occurrence
+ */
+function getFirstOccurrenceTime(recurrence, time) {
+  const weekdays = recurrence && recurrence.byWeekday;
+  const date = new Date(Number(time));
+  if (!weekdays || weekdays.length === 0) return date.getTime();
+
+  while (!weekdays.includes(date.getDay())) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date.getTime();
+}
+
+/**
+ * Get the occurrence that follows a given occurrence of a rule
+ * Uses local calendar arithmetic so occurrences keep their wall-clock time across DST changes
+ * @param {Object} recurrence - Recurrence rule
+ * @param {number} time - Timestamp of a valid occurrence
+ * @returns {number|null} Timestamp of the following occurrence
+ */
+function stepOccurrence(recurrence, time) {
+  const current = new Date(time);
+  const year = current.getFullYear();
+  const month = current.getMonth();
+  const day = current.getDate();
+  const at = (y, m, d) => new Date(y, m, d, current.getHours(), current.getMinutes(), current.getSeconds(), current.getMilliseconds());
+  const weekdays = recurrence.byWeekday || [];
+
+  switch (recurrence.freq) {
+    case "daily": {
+      for (let offset = recurrence.interval; offset <= recurrence.interval * 7; offset += recurrence.interval) {
+        const candidate = at(year, month, day + offset);
+        if (weekdays.length === 0 || weekdays.includes(candidate.getDay())) {
+          return candidate.getTime();
+        }
+      }
+      return null;
+    }
+    case "weekly": {
+      const days = weekdays.length > 0 ? weekdays : [current.getDay()];
+      for (let offset = 1; offset <= recurrence.interval * 7 + 7; offset++) {
+        const candidate = at(year, month, day + offset);
+        if (days.includes(candidate.getDay()) && getWeekDifference(current, candidate) % recurrence.interval === 0) {
+          return candidate.getTime();
+        }
+      }
+      return null;
+    }
+    case "monthly": {
+      // Months without this day (e.g., the 31st) are skipped rather than clamped
+      for (let step = 1; step <= 48; step++) {
+        const candidate = at(year, month + recurrence.interval * step, day);
+        if (candidate.getDate() === day) {
+          return candidate.getTime();
+        }
+      }
+      return null;
+    }
+    case "yearly": {
+      for (let step = 1; step <= 8; step++) {
+        const candidate = at(year + recurrence.interval * step, month, day);
+        if (candidate.getMonth() === month) {
+          return candidate.getTime();
+        }
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compute the next occurrence of a recurring reminder
+ * Occurrences that fall before `after` are skipped but still count towards COUNT
+ * @param {Object} reminder - Reminder object with recurrence, scheduledTime and occurrence
+ * @param {number} [after] - Only return occurrences later than this timestamp (defaults to now)
+ * @returns {Object|null} { scheduledTime, occurrence } or null when the series has ended
+ */
+function getNextOccurrence(reminder, after = Date.now()) {
+  const recurrence = reminder && reminder.recurrence;
+  if (!recurrence) return null;
+
+  let time = Number(reminder.scheduledTime);
+  let occurrence = Number(reminder.occurrence) || 1;
+
+  for (let step = 0; step < MAX_OCCURRENCE_STEPS; step++) {
+    time = stepOccurrence(recurrence, time);
+    occurrence += 1;
+
+    if (time === null) return null;
+    if (recurrence.count && occurrence > recurrence.count) return null;
+    if (recurrence.until && time > recurrence.until) return null;
+    if (time > after) {
+      return { scheduledTime: time, occurrence };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the repeat picker inputs inside a form
+ * Picker inputs are marked with data-repeat="preset|end|rrule|until|count"
+ * @param {HTMLElement} container - Element containing the picker
+ * @returns {Object} Picker elements
+ */
+function getRepeatPicker(container) {
+  const field = (name) => container.querySelector(`[data-repeat="${name}"]`);
+  return {
+    preset: field("preset"),
+    end: field("end"),
+    rrule: field("rrule"),
+    until: field("until"),
+    count: field("count"),
+  };
+}
+
+/**
+ * Show only the repeat picker inputs that apply to the current selection
+ * @param {Object} picker - Picker elements from getRepeatPicker
+ */
+function updateRepeatPicker(picker) {
+  const repeats = picker.preset.value !== "none";
+  picker.end.style.display = repeats ? "" : "none";
+  picker.rrule.style.display = picker.preset.value === "custom" ? "" : "none";
+  picker.until.style.display = repeats && picker.end.value === "until" ? "" : "none";
+  picker.count.style.display = repeats && picker.end.value === "count" ? "" : "none";
+}
+
+/**
+ * Wire up a repeat picker so its inputs follow the selection
+ * @param {HTMLElement} container - Element containing the picker
+ * @returns {Object} Picker elements
+ */
+function bindRepeatPicker(container) {
+  const picker = getRepeatPicker(container);
+  const sync = () => updateRepeatPicker(picker);
+  picker.preset.addEventListener("change", sync);
+  picker.end.addEventListener("change", sync);
+  sync();
+  return picker;
+}
+
+/**
+ * Read the current repeat picker values
+ * @param {Object} picker - Picker elements from getRepeatPicker
+ * @returns {Object} Picker values ({ preset, rrule, end, until, count })
+ */
+function readRepeatPicker(picker) {
+  return {
+    preset: picker.preset.value,
+    rrule: picker.rrule.value,
+    end: picker.end.value,
+    until: picker.until.value,
+    count: picker.count.value,
+  };
+}
+
+/**
+ * Reset a repeat picker to "Does not repeat"
+ * @param {Object} picker - Picker elements from getRepeatPicker
+ */
+function resetRepeatPicker(picker) {
+  picker.preset.value = "none";
+  picker.end.value = "never";
+  picker.rrule.value = "";
+  picker.until.value = "";
+  picker.count.value = "10";
+  updateRepeatPicker(picker);
+}
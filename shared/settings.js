@@ -0,0 +1,210 @@
+// Settings utilities for user preferences
+
+const SETTINGS_KEY = "settings";
+
+const MISSED_REMINDER_ACTIONS = ["fire", "skip", "reschedule"];
+const TIME_FORMATS = ["24h", "12h"];
+const WEEK_START_DAYS = [0, 1, 6];
+const SORT_OPTIONS = [
+  "scheduledTime-asc",
+  "scheduledTime-desc",
+  "text-asc",
+  "text-desc",
+  "status-asc",
+  "priority-desc",
+  "createdAt-desc",
+  "createdAt-asc",
+];
+const NOTIFICATION_TITLE_MAX_LENGTH = 100;
+const BADGE_MODES = ["overdue", "countdown", "off"];
+
+const DEFAULT_SETTINGS = {
+  snoozeMinutes: [10, 60],
+  missedReminderAction: "fire",
+  trashRetentionDays: 30,
+  defaultPreAlerts: [],
+  timeFormat: "24h",
+  weekStartsOn: 1,
+  defaultOffsetMinutes: 60,
+  quickPickPresets: ["+15m", "+1h", "Tonight 20:00", "Tomorrow 09:00", "Next Monday 09:00"],
+  defaultSort: "scheduledTime-asc",
+  notificationTitleTemplate: "{title}",
+  autoArchiveDays: 0,
+  badgeMode: "overdue",
+  groupedLayout: false,
+  collapsedGroups: [],
+  defaultTimeMode: "fixed",
+};
+
+// Last known settings, for code that can't wait for storage (e.g., formatDateTime)
+// Refreshed by getSettings() and whenever the settings change in any context
+let currentSettings = { ...DEFAULT_SETTINGS };
+
+/**
+ * Merge stored settings over the defaults
+ * @param {*} stored - Stored settings value
+ * @returns {Object} Settings object
+ */
+function mergeSettings(stored) {
+  return { ...DEFAULT_SETTINGS, ...(stored && typeof stored === "object" ? stored : {}) };
+}
+
+/**
+ * Get user settings merged over the defaults
+ * @returns {Promise<Object>} Settings object
+ */
+async function getSettings() {
+  try {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    currentSettings = mergeSettings(result[SETTINGS_KEY]);
+    return { ...currentSettings };
+  } catch (error) {
+    console.error("Error getting settings:", error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes[SETTINGS_KEY]) {
+    currentSettings = mergeSettings(changes[SETTINGS_KEY].newValue);
+  }
+});
+
+/**
+ * Parse a comma separated list of snooze durations in minutes
+ * @param {string} value - Input value (e.g., "10, 60")
+ * @returns {Array<number>} Sorted, de-duplicated durations
+ * @throws {Error} If any duration is not a positive whole number
+ */
+function parseSnoozeMinutes(value) {
+  const minutes = String(value || "")
+    .split(",")
+    .map((part) => part.trim())
+    .filter((part) => part.length > 0)
+    .map(Number);
+
+  if (minutes.length === 0) {
+    throw new Error("Please enter at least one snooze duration");
+  }
+  if (!minutes.every((m) => Number.isInteger(m) && m > 0 && m <= 7 * 24 * 60)) {
+    throw new Error("Snooze durations must be whole minutes between 1 and 10080");
+  }
+
+  return [...new Set(minutes)].sort((a, b) => a - b);
+}
+
+/**
+ * Validate settings before saving
+ * @param {Object} settings - Settings object
+ * @throws {Error} If a setting is invalid
+ */
+function validateSettings(settings) {
+  if (!Array.isArray(settings.snoozeMinutes) || settings.snoozeMinutes.length === 0) {
+    throw new Error("Please enter at least one snooze duration");
+  }
+  if (!MISSED_REMINDER_ACTIONS.includes(settings.missedReminderAction)) {
+    throw new Error(`Invalid missed reminder action: ${settings.missedReminderAction}`);
+  }
+  if (!Number.isInteger(settings.trashRetentionDays) || settings.trashRetentionDays < 1 || settings.trashRetentionDays > 365) {
+    throw new Error("Trash retention must be a whole number of days between 1 and 365");
+  }
+  if (!Array.isArray(settings.defaultPreAlerts) || !settings.defaultPreAlerts.every((m) => Number.isInteger(m) && m >= 1 && m <= MAX_PRE_ALERT_MINUTES)) {
+    throw new Error("Pre-alerts must be between 1 minute and 30 days before");
+  }
+  if (!TIME_FORMATS.includes(settings.timeFormat)) {
+    throw new Error(`Invalid time format: ${settings.timeFormat}`);
+  }
+  if (!WEEK_START_DAYS.includes(settings.weekStartsOn)) {
+    throw new Error("The week can start on Saturday, Sunday or Monday");
+  }
+  if (!Number.isInteger(settings.defaultOffsetMinutes) || settings.defaultOffsetMinutes < 1 || settings.defaultOffsetMinutes > MAX_PRE_ALERT_MINUTES) {
+    throw new Error("The default reminder time must be between 1 minute and 30 days from now");
+  }
+  if (!Array.isArray(settings.quickPickPresets)) {
+    throw new Error("Quick-pick presets must be a list");
+  }
+  settings.quickPickPresets.forEach((preset) => resolvePresetTime(preset));
+  if (!SORT_OPTIONS.includes(settings.defaultSort)) {
+    throw new Error(`Invalid sort order: ${settings.defaultSort}`);
+  }
+  if (typeof settings.notificationTitleTemplate !== "string" || !settings.notificationTitleTemplate.trim()) {
+    throw new Error("Please enter a notification title");
+  }
+  if (settings.notificationTitleTemplate.length > NOTIFICATION_TITLE_MAX_LENGTH) {
+    throw new Error(`The notification title can be at most ${NOTIFICATION_TITLE_MAX_LENGTH} characters`);
+  }
+  if (!Number.isInteger(settings.autoArchiveDays) || settings.autoArchiveDays < 0 || settings.autoArchiveDays > 365) {
+    throw new Error("Auto-archive must be a whole number of days between 0 (off) and 365");
+  }
+  if (!BADGE_MODES.includes(settings.badgeMode)) {
+    throw new Error(`Invalid badge mode: ${settings.badgeMode}`);
+  }
+  if (typeof settings.groupedLayout !== "boolean") {
+    throw new Error("Invalid grouped layout setting");
+  }
+  if (!Array.isArray(settings.collapsedGroups) || !settings.collapsedGroups.every((group) => typeof group === "string")) {
+    throw new Error("Invalid collapsed groups");
+  }
+  if (!TIME_MODES.includes(settings.defaultTimeMode)) {
+    throw new Error(`Invalid time mode: ${settings.defaultTimeMode}`);
+  }
+}
+
+/**
+ * Parse quick-pick presets, one per line
+ * @param {string} value - Input value
+ * @returns {Array<string>} Presets in the order given
+ * @throws {Error} If a preset can't be understood
+ */
+function parseQuickPickPresets(value) {
+  const presets = String(value || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+  
+  presets.forEach((preset) => resolvePresetTime(preset));
+  return [...new Set(presets)];
+}
+
+/**
+ * Fill in a notification title template
+ * Placeholders: {title} (default title for the priority), {icon}, {priority}, {text}, {time}, {tags}
+ * @param {string} template - Title template
+ * @param {Object} reminder - Reminder object
+ * @returns {string} Notification title
+ */
+function formatNotificationTitle(template, reminder) {
+  const level = getPriorityLevel(reminder);
+  const values = {
+    title: level.title,
+    icon: level.icon,
+    priority: level.label,
+    text: reminder.text,
+    time: formatDateTime(reminder.scheduledTime),
+    tags: formatTags(reminder.tags || []),
+  };
+  
+  const title = String(template || DEFAULT_SETTINGS.notificationTitleTemplate)
+    .replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match))
+    .replace(/\s+/g, " ")
+    .trim();
+  return title || level.title;
+}
+
+/**
+ * Save settings (merged over the current values)
+ * @param {Object} updates - Settings to change
+ * @returns {Promise<Object>} Saved settings
+ * @throws {Error} If settings are invalid or saving fails
+ */
+async function saveSettings(updates) {
+  try {
+    const settings = { ...(await getSettings()), ...updates };
+    validateSettings(settings);
+    await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+    return settings;
+  } catch (error) {
+    console.error("Error saving settings:", error);
+    throw error;
+  }
+}
@@ -1,6 +1,26 @@
 // Storage utilities for reminders
+// Shared by the popup, the options page and the service worker; every reminder write goes through here
 
 const STORAGE_KEY = "reminders";
+const TRASH_KEY = "trash";
+const SCHEMA_VERSION_KEY = "schemaVersion";
+const SCHEMA_VERSION = 5;
+const REMINDERS_LOCK_NAME = "notifybuddy-reminders";
+const REMINDER_STATUSES = ["active", "completed", "dismissed"];
+
+// Fallback write queue for contexts without Web Locks (only serializes writes within this context)
+let localWriteQueue = Promise.resolve();
+
+/**
+ * Read the stored reminder list
+ * @returns {Promise<Array>} Array of reminder objects
+ * @throws {Error} If storage can't be read
+ */
+async function readReminders() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  const reminders = result[STORAGE_KEY];
+  return Array.isArray(reminders) ? reminders : [];
+}
 
 /**
  * Get all reminders from storage
@@ -8,15 +28,28 @@ const STORAGE_KEY = "reminders";
  */
 async function getAllReminders() {
   try {
-    const result = await chrome.storage.local.get(STORAGE_KEY);
-    const reminders = result[STORAGE_KEY];
-    return Array.isArray(reminders) ? reminders : [];
+    return await readReminders();
   } catch (error) {
     console.error("Error getting reminders:", error);
     return [];
   }
 }
 
+/**
+ * Get the reminders in the trash
+ * Trashed reminders keep all their fields plus deletedAt
+ * @returns {Promise<Array>} Array of trashed reminder objects
+ */
+async function getTrash() {
+  try {
+    const result = await chrome.storage.local.get(TRASH_KEY);
+    return Array.isArray(result[TRASH_KEY]) ? result[TRASH_KEY] : [];
+  } catch (error) {
+    console.error("Error getting trash:", error);
+    return [];
+  }
+}
+
 /**
  * Get a single reminder by ID
  * @param {string} id - Reminder ID
@@ -28,6 +61,61 @@ async function getReminder(id) {
   return reminders.find((r) => String(r.id) === String(id)) || null;
 }
 
+/**
+ * Run a task while holding the reminders lock
+ * Web Locks are shared by the popup, the options page and the service worker,
+ * so only one of them can read-modify-write the reminder list at a time
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Result of the task
+ */
+function withRemindersLock(task) {
+  if (typeof navigator !== "undefined" && navigator.locks) {
+    return navigator.locks.request(REMINDERS_LOCK_NAME, task);
+  }
+  
+  const run = localWriteQueue.then(() => task());
+  localWriteQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Apply a change to several stored lists (reminders, trash, history) as one serialized read-modify-write
+ * @param {Array<string>} keys - Storage keys to read; missing or invalid values read as empty lists
+ * @param {Function} mutate - Receives the lists by key; returns the lists to store by key, or null to leave storage unchanged
+ * @returns {Promise<Object>} The lists by key after the change
+ * @throws {Error} If the mutation or storage fails
+ */
+async function mutateStoredLists(keys, mutate) {
+  return withRemindersLock(async () => {
+    const result = await chrome.storage.local.get(keys);
+    const lists = {};
+    keys.forEach((key) => {
+      lists[key] = Array.isArray(result[key]) ? result[key] : [];
+    });
+    
+    const updates = await mutate(lists);
+    if (!updates) return lists;
+    
+    await chrome.storage.local.set(updates);
+    return { ...lists, ...updates };
+  });
+}
+
+/**
+ * Apply a change to the stored reminder list as one serialized read-modify-write
+ * All reminder writes go through here so concurrent writers can't overwrite each other
+ * @param {Function} mutate - Receives the current list; returns the list to store, or null to leave storage unchanged
+ * @returns {Promise<Array>} The reminder list after the change
+ * @throws {Error} If the mutation or storage fails
+ */
+async function mutateReminders(mutate) {
+  const lists = await mutateStoredLists([STORAGE_KEY], async (current) => {
+    const next = await mutate(current[STORAGE_KEY]);
+    return next ? { [STORAGE_KEY]: next } : null;
+  });
+  return lists[STORAGE_KEY];
+}
+
 /**
  * Normalize reminder data types to ensure consistency
  * @param {Object} reminder - Reminder object
@@ -39,15 +127,29 @@ function normalizeReminder(reminder) {
     scheduledTime: Number(reminder.scheduledTime) || 0,
     createdAt: Number(reminder.createdAt) || Date.now(),
     status: reminder.status || "active",
+    recurrence: reminder.recurrence || null,
+    occurrence: Number(reminder.occurrence) || 1,
+    snoozeCount: Number(reminder.snoozeCount) || 0,
+    snoozedUntil: Number(reminder.snoozedUntil) || null,
+    firedAt: Number(reminder.firedAt) || null,
+    tags: Array.isArray(reminder.tags) ? [...new Set(reminder.tags.map(normalizeTag).filter(Boolean))] : [],
+    priority: normalizePriority(reminder.priority),
+    notes: typeof reminder.notes === "string" ? reminder.notes : "",
+    url: reminder.url || null,
+    preAlerts: Array.isArray(reminder.preAlerts) ? [...new Set(reminder.preAlerts.map(Number))].sort((a, b) => b - a) : [],
+    timeZone: isValidTimeZone(reminder.timeZone) ? reminder.timeZone : getLocalTimeZone(),
+    timeMode: TIME_MODES.includes(reminder.timeMode) ? reminder.timeMode : DEFAULT_TIME_MODE,
+    // Only completed reminders can be archived; any other status brings them back
+    archivedAt: reminder.status === "completed" ? Number(reminder.archivedAt) || null : null,
   };
 }
 
 /**
- * Validate reminder object
+ * Validate the fields of a reminder object, without checking its time
  * @param {Object} reminder - Reminder object to validate
  * @throws {Error} If reminder is invalid
  */
-function validateReminder(reminder) {
+function validateReminderFields(reminder) {
   if (!reminder || typeof reminder !== "object") {
     throw new Error("Invalid reminder object");
   }
@@ -57,14 +159,140 @@ function validateReminder(reminder) {
   if (!reminder.text || typeof reminder.text !== "string" || reminder.text.trim().length === 0) {
     throw new Error("Reminder text cannot be empty");
   }
+  if (!(Number(reminder.scheduledTime) > 0)) {
+    throw new Error("Reminder must have a scheduled time");
+  }
+  if (reminder.status && !REMINDER_STATUSES.includes(reminder.status)) {
+    throw new Error(`Invalid status: ${reminder.status}`);
+  }
+  validateRecurrence(reminder.recurrence);
+  if (reminder.tags !== undefined && !Array.isArray(reminder.tags)) {
+    throw new Error("Reminder tags must be a list");
+  }
+  if (reminder.priority !== undefined && !REMINDER_PRIORITIES.includes(reminder.priority)) {
+    throw new Error(`Invalid priority: ${reminder.priority}`);
+  }
+  if (reminder.notes !== undefined && typeof reminder.notes !== "string") {
+    throw new Error("Reminder notes must be text");
+  }
+  if (reminder.url && normalizeReminderUrl(reminder.url) !== reminder.url) {
+    throw new Error(`Invalid reminder link: ${reminder.url}`);
+  }
+  if (reminder.preAlerts !== undefined && (
+    !Array.isArray(reminder.preAlerts) ||
+    !reminder.preAlerts.every((m) => Number.isInteger(Number(m)) && Number(m) >= 1 && Number(m) <= MAX_PRE_ALERT_MINUTES)
+  )) {
+    throw new Error("Pre-alerts must be between 1 minute and 30 days before");
+  }
+  if (reminder.timeZone !== undefined && !isValidTimeZone(reminder.timeZone)) {
+    throw new Error(`Unknown time zone: ${reminder.timeZone}`);
+  }
+  if (reminder.timeMode !== undefined && !TIME_MODES.includes(reminder.timeMode)) {
+    throw new Error(`Invalid time mode: ${reminder.timeMode}`);
+  }
+}
+
+/**
+ * Validate a reminder being created or rescheduled
+ * @param {Object} reminder - Reminder object to validate
+ * @throws {Error} If reminder is invalid or not in the future
+ */
+function validateReminder(reminder) {
+  validateReminderFields(reminder);
   const scheduledTime = Number(reminder.scheduledTime);
   if (!scheduledTime || scheduledTime <= Date.now()) {
     throw new Error("Reminder must be scheduled for a future time");
   }
-  const validStatuses = ["active", "completed", "dismissed"];
-  if (reminder.status && !validStatuses.includes(reminder.status)) {
-    throw new Error(`Invalid status: ${reminder.status}`);
+}
+
+/**
+ * Validate a status change of a stored reminder
+ * Unlike creating, a status change keeps the reminder's time, so overdue
+ * reminders can still be completed, dismissed or restored
+ * @param {Object} reminder - Stored reminder object
+ * @param {string} status - New status
+ * @throws {Error} If the status or reminder is invalid
+ */
+function validateStatusTransition(reminder, status) {
+  if (!REMINDER_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status}`);
   }
+  validateReminderFields(reminder);
+}
+
+/**
+ * Insert or replace reminders in a list by ID
+ * @param {Array} reminders - Reminder list (changed in place)
+ * @param {Array} remindersToSave - Normalized reminder objects
+ * @returns {Array} The reminder list
+ */
+function upsertReminders(reminders, remindersToSave) {
+  remindersToSave.forEach((normalizedReminder) => {
+    const existingIndex = reminders.findIndex((r) => String(r.id) === String(normalizedReminder.id));
+    if (existingIndex >= 0) {
+      reminders[existingIndex] = normalizedReminder;
+    } else {
+      reminders.push(normalizedReminder);
+    }
+  });
+  return reminders;
+}
+
+/**
+ * Replace reminders with other versions of themselves, moving them in or out of the trash
+ * Reminders in "to" are stored (and taken out of the trash); reminders only in "from" go to the trash
+ * @param {Array} reminders - Reminder list
+ * @param {Array} trash - Trashed reminder list
+ * @param {Array} from - Current versions
+ * @param {Array} to - Versions to put in their place
+ * @returns {Object} { reminders, trash } as new lists
+ */
+function replaceReminderVersions(reminders, trash, from, to) {
+  const toIds = new Set(to.map((r) => String(r.id)));
+  const removedIds = new Set(from.map((r) => String(r.id)).filter((id) => !toIds.has(id)));
+  const touchedIds = new Set([...toIds, ...removedIds]);
+  const deletedAt = Date.now();
+  
+  const nextReminders = upsertReminders(
+    reminders.filter((r) => !removedIds.has(String(r.id))),
+    to.map(({ deletedAt, ...reminder }) => normalizeReminder(reminder))
+  );
+  const nextTrash = [
+    ...trash.filter((r) => !touchedIds.has(String(r.id))),
+    ...from.filter((r) => removedIds.has(String(r.id))).map((r) => ({ ...r, deletedAt })),
+  ];
+  
+  return { reminders: nextReminders, trash: nextTrash };
+}
+
+/**
+ * Create reminder object
+ * The time is taken to be picked in the local time zone; repeating reminders start on a day their rule repeats on
+ * @param {string} text - Reminder text
+ * @param {number} scheduledTime - Scheduled time timestamp
+ * @param {Object} [details] - Optional fields: recurrence, tags, priority, notes, url, preAlerts, timeMode
+ * @returns {Object} Reminder object
+ */
+function createReminderObject(text, scheduledTime, { recurrence = null, tags = [], priority = DEFAULT_PRIORITY, notes = "", url = null, preAlerts = [], timeMode = DEFAULT_TIME_MODE } = {}) {
+  const id = generateReminderId();
+  const scheduled = getFirstOccurrenceTime(recurrence, scheduledTime);
+  return {
+    id,
+    text: text.trim(),
+    scheduledTime: scheduled,
+    createdAt: Date.now(),
+    status: "active",
+    alarmName: `reminder-${id}-${scheduled}`,
+    recurrence,
+    occurrence: 1,
+    tags,
+    priority: normalizePriority(priority),
+    notes: notes.trim(),
+    url,
+    preAlerts,
+    timeZone: getLocalTimeZone(),
+    timeMode,
+  };
 }
 
 /**
@@ -77,22 +305,31 @@ async function saveReminder(reminder) {
     validateReminder(reminder);
     const normalizedReminder = normalizeReminder(reminder);
     
-    const reminders = await getAllReminders();
-    const existingIndex = reminders.findIndex((r) => String(r.id) === String(normalizedReminder.id));
-    
-    if (existingIndex >= 0) {
-      reminders[existingIndex] = normalizedReminder;
-    } else {
-      reminders.push(normalizedReminder);
-    }
-    
-    await chrome.storage.local.set({ [STORAGE_KEY]: reminders });
+    await mutateReminders((reminders) => upsertReminders(reminders, [normalizedReminder]));
   } catch (error) {
     console.error("Error saving reminder:", error);
     throw error;
   }
 }
 
+/**
+ * Save several reminders in one storage write (create or update)
+ * Past times are allowed, so this is used for imports of existing data
+ * @param {Array} remindersToSave - Reminder objects
+ * @throws {Error} If any reminder is invalid
+ */
+async function saveReminders(remindersToSave) {
+  try {
+    remindersToSave.forEach(validateReminderFields);
+    const normalizedReminders = remindersToSave.map(normalizeReminder);
+    
+    await mutateReminders((reminders) => upsertReminders(reminders, normalizedReminders));
+  } catch (error) {
+    console.error("Error saving reminders:", error);
+    throw error;
+  }
+}
+
 /**
  * Delete a reminder by ID
  * @param {string} id - Reminder ID
@@ -102,37 +339,246 @@ async function deleteReminder(id) {
   if (!id) return;
   
   try {
-    const reminders = await getAllReminders();
-    const filtered = reminders.filter((r) => String(r.id) !== String(id));
-    await chrome.storage.local.set({ [STORAGE_KEY]: filtered });
+    await mutateReminders((reminders) => {
+      const filtered = reminders.filter((r) => String(r.id) !== String(id));
+      return filtered.length !== reminders.length ? filtered : null;
+    });
   } catch (error) {
     console.error("Error deleting reminder:", error);
     throw error;
   }
 }
 
+/**
+ * Update fields of a stored reminder without the future-time check
+ * Used for changes that don't reschedule the reminder by hand (snooze bookkeeping, recurrence, missed reminders)
+ * @param {string} id - Reminder ID
+ * @param {Object} changes - Fields to merge into the reminder
+ * @returns {Promise<Object|null>} Updated reminder, or null if it no longer exists
+ * @throws {Error} If the updated reminder is invalid or the update fails
+ */
+async function updateReminder(id, changes) {
+  try {
+    let updated = null;
+    await mutateReminders((reminders) => {
+      const index = reminders.findIndex((r) => String(r.id) === String(id));
+      if (index === -1) return null;
+      
+      const merged = { ...reminders[index], ...changes, id: reminders[index].id };
+      validateReminderFields(merged);
+      updated = normalizeReminder(merged);
+      reminders[index] = updated;
+      return reminders;
+    });
+    return updated;
+  } catch (error) {
+    console.error("Error updating reminder:", error);
+    throw error;
+  }
+}
+
+/**
+ * Change or trash several reminders in one storage write
+ * @param {Array<string>} ids - Reminder IDs
+ * @param {Function} change - Receives a reminder; returns the updated reminder, or null to move it to the trash
+ * @returns {Promise<Object>} { before, after }: previous and new versions of the reminders that changed (trashed ones are missing from after)
+ * @throws {Error} If an updated reminder is invalid or the update fails
+ */
+async function updateRemindersBatch(ids, change) {
+  const idSet = new Set(ids.map(String));
+  const before = [];
+  const after = [];
+  
+  try {
+    await mutateStoredLists([STORAGE_KEY, TRASH_KEY], (lists) => {
+      before.length = 0;
+      after.length = 0;
+      
+      lists[STORAGE_KEY].forEach((reminder) => {
+        if (!idSet.has(String(reminder.id))) return;
+        
+        const changed = change({ ...reminder });
+        if (!changed) {
+          before.push(reminder);
+          return;
+        }
+        
+        validateReminderFields(changed);
+        const normalized = normalizeReminder({ ...changed, id: reminder.id });
+        if (JSON.stringify(normalized) !== JSON.stringify(reminder)) {
+          before.push(reminder);
+          after.push(normalized);
+        }
+      });
+      
+      if (before.length === 0) return null;
+      
+      const next = replaceReminderVersions(lists[STORAGE_KEY], lists[TRASH_KEY], before, after);
+      return { [STORAGE_KEY]: next.reminders, [TRASH_KEY]: next.trash };
+    });
+    return { before, after };
+  } catch (error) {
+    console.error("Error updating reminders:", error);
+    throw error;
+  }
+}
+
 /**
  * Update reminder status
  * @param {string} id - Reminder ID
  * @param {string} status - New status ("active", "completed", "dismissed")
+ * @returns {Promise<Object|null>} Updated reminder, or null if it no longer exists
  * @throws {Error} If status is invalid or update fails
  */
 async function updateReminderStatus(id, status) {
-  if (!id || !status) return;
+  if (!id || !status) return null;
   
-  const validStatuses = ["active", "completed", "dismissed"];
-  if (!validStatuses.includes(status)) {
-    throw new Error(`Invalid status: ${status}`);
+  try {
+    let updated = null;
+    await mutateReminders((reminders) => {
+      const index = reminders.findIndex((r) => String(r.id) === String(id));
+      if (index === -1) return null;
+      
+      validateStatusTransition(reminders[index], status);
+      updated = normalizeReminder({ ...reminders[index], status });
+      reminders[index] = updated;
+      return reminders;
+    });
+    return updated;
+  } catch (error) {
+    console.error("Error updating reminder status:", error);
+    throw error;
   }
+}
+
+/**
+ * Archive completed reminders that were due more than a number of days ago
+ * @param {number} days - Days after the scheduled time (0 turns archiving off)
+ * @returns {Promise<number>} Number of reminders archived
+ * @throws {Error} If the update fails
+ */
+async function archiveCompletedReminders(days) {
+  if (!days) return 0;
   
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
   try {
-    const reminder = await getReminder(id);
-    if (reminder) {
-      reminder.status = status;
-      await saveReminder(reminder);
-    }
+    let archived = 0;
+    await mutateReminders((reminders) => {
+      const archivedAt = Date.now();
+      const next = reminders.map((reminder) => {
+        if (reminder.status !== "completed" || reminder.archivedAt || Number(reminder.scheduledTime) > cutoff) {
+          return reminder;
+        }
+        archived += 1;
+        return { ...reminder, archivedAt };
+      });
+      return archived > 0 ? next : null;
+    });
+    return archived;
   } catch (error) {
-    console.error("Error updating reminder status:", error);
+    console.error("Error archiving reminders:", error);
+    throw error;
+  }
+}
+
+/**
+ * Rename or merge a tag across all reminders in one storage write
+ * @param {string} from - Current tag name
+ * @param {string} to - New tag name (an existing tag merges the two)
+ * @returns {Promise<number>} Number of reminders updated
+ * @throws {Error} If the new name is invalid or the update fails
+ */
+async function renameTag(from, to) {
+  const target = normalizeTag(to);
+  if (!target) {
+    throw new Error(`Invalid tag "${to}". Use letters, numbers, "-" and "_"`);
+  }
+  
+  try {
+    let changed = 0;
+    await mutateReminders((reminders) => {
+      const updated = renameTagInReminders(reminders, from, target);
+      changed = updated.filter((reminder, index) => reminder !== reminders[index]).length;
+      return changed > 0 ? updated : null;
+    });
+    return changed;
+  } catch (error) {
+    console.error("Error renaming tag:", error);
+    throw error;
+  }
+}
+
+// Migrations from the previous schema version, keyed by the version they produce.
+// Each one receives the stored reminder list and returns the upgraded list.
+const MIGRATIONS = {
+  // Version 2: fill in fields added for recurrence, snooze, tags, priorities, notes and links
+  2: (reminders) => reminders
+    .filter((reminder) => reminder && typeof reminder === "object" && reminder.id)
+    .map((reminder) => ({
+      ...reminder,
+      id: String(reminder.id),
+      scheduledTime: Number(reminder.scheduledTime) || 0,
+      createdAt: Number(reminder.createdAt) || Number(reminder.scheduledTime) || Date.now(),
+      status: REMINDER_STATUSES.includes(reminder.status) ? reminder.status : "active",
+      recurrence: reminder.recurrence || null,
+      occurrence: Number(reminder.occurrence) || 1,
+      snoozeCount: Number(reminder.snoozeCount) || 0,
+      snoozedUntil: Number(reminder.snoozedUntil) || null,
+      tags: Array.isArray(reminder.tags) ? reminder.tags : [],
+      priority: reminder.priority || "normal",
+      notes: typeof reminder.notes === "string" ? reminder.notes : "",
+      url: reminder.url || null,
+    })),
+  // Version 3: reminders can warn ahead of time
+  3: (reminders) => reminders.map((reminder) => ({
+    ...reminder,
+    preAlerts: Array.isArray(reminder.preAlerts) ? reminder.preAlerts : [],
+  })),
+  // Version 4: reminders remember their time zone; existing ones were set in the current zone and stay fixed
+  4: (reminders) => reminders.map((reminder) => ({
+    ...reminder,
+    timeZone: isValidTimeZone(reminder.timeZone) ? reminder.timeZone : getLocalTimeZone(),
+    timeMode: TIME_MODES.includes(reminder.timeMode) ? reminder.timeMode : "fixed",
+  })),
+  // Version 5: reminders remember a ring that hasn't been answered yet
+  5: (reminders) => reminders.map((reminder) => ({
+    ...reminder,
+    firedAt: Number(reminder.firedAt) || null,
+  })),
+};
+
+/**
+ * Upgrade stored reminders to the current schema version
+ * Runs every pending migration in order and stores the result together with the new version
+ * in one write; data from a newer version of the extension is left untouched
+ * @returns {Promise<number>} Schema version after migrating
+ * @throws {Error} If a migration or storage fails
+ */
+async function runMigrations() {
+  try {
+    return await withRemindersLock(async () => {
+      const result = await chrome.storage.local.get([STORAGE_KEY, SCHEMA_VERSION_KEY]);
+      // Data stored before versioning was introduced is version 1
+      const storedVersion = Number(result[SCHEMA_VERSION_KEY]) || 1;
+      
+      if (storedVersion > SCHEMA_VERSION) {
+        console.error(`Stored data has schema version ${storedVersion}, newer than ${SCHEMA_VERSION}; skipping migrations`);
+        return storedVersion;
+      }
+      if (storedVersion === SCHEMA_VERSION) {
+        return storedVersion;
+      }
+      
+      let reminders = Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+      for (let version = storedVersion + 1; version <= SCHEMA_VERSION; version++) {
+        reminders = MIGRATIONS[version](reminders);
+      }
+      
+      await chrome.storage.local.set({ [STORAGE_KEY]: reminders, [SCHEMA_VERSION_KEY]: SCHEMA_VERSION });
+      return SCHEMA_VERSION;
+    });
+  } catch (error) {
+    console.error("Error migrating reminders:", error);
     throw error;
   }
 }
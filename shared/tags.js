@@ -0,0 +1,89 @@
+// Tag utilities for grouping reminders
+
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const TAG_COLORS = ["#58a6ff", "#7ee787", "#d2a8ff", "#ffa657", "#ff7b72", "#79c0ff", "#f778ba", "#e3b341"];
+
+/**
+ * Normalize a tag name (lowercase, without the leading "#")
+ * @param {string} tag - Tag as typed by the user (e.g., "#Billing")
+ * @returns {string} Normalized tag, or empty string if invalid
+ */
+function normalizeTag(tag) {
+  const normalized = String(tag || "").trim().replace(/^#+/, "").toLowerCase();
+  return TAG_PATTERN.test(normalized) ? normalized : "";
+}
+
+/**
+ * Parse a list of tags from user input
+ * Tags may be separated by spaces or commas and may start with "#"
+ * @param {string} input - Input value (e.g., "#billing, #oncall")
+ * @returns {Array<string>} Unique normalized tags
+ * @throws {Error} If a tag contains unsupported characters
+ */
+function parseTags(input) {
+  const tags = String(input || "")
+    .split(/[\s,]+/)
+    .filter((part) => part.length > 0)
+    .map((part) => {
+      const tag = normalizeTag(part);
+      if (!tag) {
+        throw new Error(`Invalid tag "${part}". Use letters, numbers, "-" and "_"`);
+      }
+      return tag;
+    });
+  return [...new Set(tags)];
+}
+
+/**
+ * Format tags for a text input
+ * @param {Array<string>} tags - Tags
+ * @returns {string} Tags as "#a #b"
+ */
+function formatTags(tags) {
+  return (tags || []).map((tag) => `#${tag}`).join(" ");
+}
+
+/**
+ * Get a stable display color for a tag
+ * @param {string} tag - Tag name
+ * @returns {string} Hex color
+ */
+function getTagColor(tag) {
+  let hash = 0;
+  for (const char of tag) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return TAG_COLORS[hash % TAG_COLORS.length];
+}
+
+/**
+ * Count how many reminders use each tag
+ * @param {Array} reminders - Reminder objects
+ * @returns {Array<Object>} Entries of { tag, count } sorted by tag name
+ */
+function getTagCounts(reminders) {
+  const counts = new Map();
+  reminders.forEach((reminder) => {
+    (reminder.tags || []).forEach((tag) => {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    });
+  });
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Rename a tag on a list of reminders; renaming onto an existing tag merges the two
+ * @param {Array} reminders - Reminder objects
+ * @param {string} from - Current tag name
+ * @param {string} to - New tag name
+ * @returns {Array} Updated reminder objects (unchanged reminders are returned as-is)
+ */
+function renameTagInReminders(reminders, from, to) {
+  return reminders.map((reminder) => {
+    if (!(reminder.tags || []).includes(from)) return reminder;
+    const tags = reminder.tags.map((tag) => (tag === from ? to : tag));
+    return { ...reminder, tags: [...new Set(tags)] };
+  });
+}
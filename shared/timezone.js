@@ -0,0 +1,128 @@
+// Time zone utilities for fixed and floating reminders
+//
+// Every reminder stores the IANA time zone its time was picked in. Fixed reminders ring at that
+// absolute moment wherever you are; floating reminders keep their wall-clock time ("9:00") and are
+// moved when the system time zone changes.
+
+const TIME_MODES = ["fixed", "floating"];
+const DEFAULT_TIME_MODE = "fixed";
+
+// Intl formatters are slow to create, so keep one per zone (invalid zones are remembered as null)
+const zonedFormatters = new Map();
+
+/**
+ * Get the system time zone
+ * @returns {string} IANA time zone (e.g., "Europe/Berlin")
+ */
+function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+/**
+ * Get a formatter that reads the wall-clock parts of a moment in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat|null} Formatter, or null if the zone is unknown
+ */
+function getZonedFormatter(timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      });
+    } catch (error) {
+      formatter = null;
+    }
+    zonedFormatters.set(timeZone, formatter);
+  }
+  return zonedFormatters.get(timeZone);
+}
+
+/**
+ * Check an IANA time zone name
+ * @param {*} timeZone - Time zone to check
+ * @returns {boolean} Whether the browser knows the zone
+ */
+function isValidTimeZone(timeZone) {
+  return typeof timeZone === "string" && timeZone.length > 0 && getZonedFormatter(timeZone) !== null;
+}
+
+/**
+ * Get the local timestamp that shows the same wall-clock time as a moment in another zone
+ * E.g., 15:00 in Europe/Berlin becomes 15:00 local time; used to display and edit times in their own zone
+ * @param {number} timestamp - Moment in milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Local timestamp with the same wall-clock reading
+ */
+function toLocalWallClock(timestamp, timeZone) {
+  const parts = {};
+  getZonedFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, timestamp % 1000).getTime();
+}
+
+/**
+ * Get the moment a local wall-clock time stands for in another zone; the inverse of toLocalWallClock
+ * Times skipped by a DST change in that zone move forward like the browser does for local times
+ * @param {number} localTimestamp - Local timestamp whose wall-clock reading is used
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Moment in milliseconds
+ */
+function fromLocalWallClock(localTimestamp, timeZone) {
+  // Offset of the zone from the local clock at a moment, in milliseconds
+  const offsetAt = (moment) => toLocalWallClock(moment, timeZone) - moment;
+  const guess = localTimestamp - offsetAt(localTimestamp);
+  return localTimestamp - offsetAt(guess);
+}
+
+/**
+ * Check whether a floating reminder's time was worked out in a different zone than the current one
+ * @param {Object} reminder - Reminder object
+ * @param {string} [timeZone] - Current time zone
+ * @returns {boolean} Whether the reminder needs moving to the current zone
+ */
+function isOutOfTimeZone(reminder, timeZone = getLocalTimeZone()) {
+  return reminder.status === "active" && reminder.timeMode === "floating" && reminder.timeZone !== timeZone;
+}
+
+/**
+ * Move a floating reminder to the same wall-clock time in the current zone
+ * A pending snooze is a duration, so it keeps its moment
+ * @param {Object} reminder - Reminder object
+ * @param {string} [timeZone] - Current time zone
+ * @returns {Object} Updated reminder (syncReminderAlarms moves its alarms); other reminders unchanged
+ */
+function rezoneReminder(reminder, timeZone = getLocalTimeZone()) {
+  if (!isOutOfTimeZone(reminder, timeZone) || !isValidTimeZone(reminder.timeZone)) {
+    return reminder;
+  }
+
+  const wallClock = toLocalWallClock(Number(reminder.scheduledTime), reminder.timeZone);
+  const scheduledTime = timeZone === getLocalTimeZone() ? wallClock : fromLocalWallClock(wallClock, timeZone);
+  return {
+    ...reminder,
+    scheduledTime,
+    timeZone,
+    alarmName: createAlarmName({ id: reminder.id, scheduledTime }),
+  };
+}
+
+/**
+ * Describe a reminder's time in its own zone, when that differs from the local zone
+ * @param {Object} reminder - Reminder object
+ * @returns {string|null} E.g., "09 Mar 2026 • 15:00 (Europe/Berlin)", or null for local reminders
+ */
+function formatReminderTimeZone(reminder) {
+  if (!isValidTimeZone(reminder.timeZone) || reminder.timeZone === getLocalTimeZone()) {
+    return null;
+  }
+  return `${formatDateTime(toLocalWallClock(Number(reminder.scheduledTime), reminder.timeZone))} (${reminder.timeZone})`;
+}
@@ -0,0 +1,427 @@
+// Import/export utilities for reminders (JSON and iCalendar)
+
+const EXPORT_FORMAT = "notifybuddy-reminders";
+const EXPORT_VERSION = 1;
+const ICS_UID_SUFFIX = "@notifybuddy";
+const ICS_LINE_LIMIT = 75;
+
+/**
+ * Build a versioned JSON export
+ * @param {Array} reminders - Reminders to export
+ * @returns {string} JSON document
+ */
+function buildJsonExport(reminders) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    reminders,
+  }, null, 2);
+}
+
+/**
+ * Parse a JSON export
+ * Accepts the versioned export format or a bare array of reminders
+ * @param {string} content - File content
+ * @returns {Array} Reminder objects
+ * @throws {Error} If the file is not a NotifyBuddy export
+ */
+function parseJsonImport(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error("The file is not valid JSON");
+  }
+
+  let list;
+  if (Array.isArray(data)) {
+    list = data;
+  } else if (data && data.format === EXPORT_FORMAT && Array.isArray(data.reminders)) {
+    if (data.version > EXPORT_VERSION) {
+      throw new Error(`This file was exported by a newer version of NotifyBuddy (format ${data.version})`);
+    }
+    list = data.reminders;
+  } else {
+    throw new Error("The file is not a NotifyBuddy export");
+  }
+
+  return list
+    .filter((item) => item && typeof item === "object" && typeof item.text === "string" && Number(item.scheduledTime) > 0)
+    .map((item) => ({
+      ...item,
+      id: item.id ? String(item.id) : generateReminderId(),
+      scheduledTime: Number(item.scheduledTime),
+      createdAt: Number(item.createdAt) || Date.now(),
+      status: REMINDER_STATUSES.includes(item.status) ? item.status : "active",
+      firedAt: null,
+      recurrence: toImportRecurrence(item.recurrence),
+      tags: Array.isArray(item.tags) ? [...new Set(item.tags.map(normalizeTag).filter(Boolean))] : [],
+      priority: normalizePriority(item.priority),
+      notes: typeof item.notes === "string" ? item.notes : "",
+      url: toImportUrl(item.url),
+      preAlerts: Array.isArray(item.preAlerts) ? item.preAlerts.map(Number).filter(isValidPreAlert) : [],
+      // Floating reminders from another zone move to the same clock time here once the background picks them up
+      timeZone: isValidTimeZone(item.timeZone) ? item.timeZone : getLocalTimeZone(),
+      timeMode: TIME_MODES.includes(item.timeMode) ? item.timeMode : DEFAULT_TIME_MODE,
+    }));
+}
+
+/**
+ * Check an imported repeat rule, importing reminders with rules we can't use as one-shot reminders
+ * @param {*} recurrence - Repeat rule from the imported file
+ * @returns {Object|null} Recurrence rule or null
+ */
+function toImportRecurrence(recurrence) {
+  try {
+    validateRecurrence(recurrence);
+    return recurrence || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check an imported pre-alert offset
+ * @param {number} minutes - Minutes before the scheduled time
+ * @returns {boolean} Whether the offset can be used
+ */
+function isValidPreAlert(minutes) {
+  return Number.isInteger(minutes) && minutes >= 1 && minutes <= MAX_PRE_ALERT_MINUTES;
+}
+
+/**
+ * Normalize an imported link, dropping links that can't be attached to a reminder
+ * @param {string} value - Link from the imported file
+ * @returns {string|null} Normalized URL or null
+ */
+function toImportUrl(value) {
+  try {
+    return normalizeReminderUrl(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC date-time (YYYYMMDDTHHMMSSZ)
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {string} iCalendar date-time
+ */
+function formatIcsDate(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Format a reminder's start for DTSTART
+ * Fixed reminders are an absolute UTC moment; floating ones are an iCalendar floating time,
+ * the wall-clock time in their zone without a "Z"
+ * @param {Object} reminder - Reminder object
+ * @returns {string} iCalendar date-time
+ */
+function formatIcsStart(reminder) {
+  if (reminder.timeMode !== "floating" || !isValidTimeZone(reminder.timeZone)) {
+    return formatIcsDate(reminder.scheduledTime);
+  }
+  const wallClock = toLocalWallClock(reminder.scheduledTime, reminder.timeZone);
+  return formatIcsDate(wallClock - new Date(wallClock).getTimezoneOffset() * 60 * 1000).slice(0, -1);
+}
+
+/**
+ * Escape a value for an iCalendar TEXT property
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {string} text - Escaped text
+ * @returns {string} Raw text
+ */
+function unescapeIcsText(text) {
+  return String(text).replace(/\\([\\;,nN])/g, (match, char) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+/**
+ * Fold a content line to 75 octets as required by RFC 5545
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    const limit = chunks.length === 0 ? ICS_LINE_LIMIT : ICS_LINE_LIMIT - 1;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+}
+
+/**
+ * Format minutes before the start as an iCalendar VALARM trigger (e.g., "-PT10M", "-P1D")
+ * @param {number} minutes - Minutes before the start
+ * @returns {string} Trigger duration
+ */
+function formatIcsTrigger(minutes) {
+  if (minutes % (24 * 60) === 0) return `-P${minutes / (24 * 60)}D`;
+  if (minutes % 60 === 0) return `-PT${minutes / 60}H`;
+  return `-PT${minutes}M`;
+}
+
+/**
+ * Parse an iCalendar VALARM trigger relative to the start
+ * @param {string} value - Trigger duration (e.g., "-PT10M", "-P1DT2H")
+ * @returns {number|null} Minutes before the start, or null for triggers that aren't before it
+ */
+function parseIcsTrigger(value) {
+  const match = /^-P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+  const total = ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes);
+  return isValidPreAlert(total) ? total : null;
+}
+
+/**
+ * Build an RFC 5545 iCalendar export with one VEVENT per reminder
+ * Each VEVENT has a VALARM at the start plus one per pre-alert
+ * @param {Array} reminders - Reminders to export
+ * @returns {string} iCalendar document
+ */
+function buildIcsExport(reminders) {
+  const stamp = formatIcsDate(Date.now());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//NotifyBuddy//Reminders//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+
+  reminders.forEach((reminder) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${reminder.id}${ICS_UID_SUFFIX}`,
+      `DTSTAMP:${stamp}`,
+      `CREATED:${formatIcsDate(reminder.createdAt || Date.now())}`,
+      `DTSTART:${formatIcsStart(reminder)}`,
+      `SUMMARY:${escapeIcsText(reminder.text)}`,
+      `STATUS:${reminder.status === "dismissed" ? "CANCELLED" : "CONFIRMED"}`,
+      `X-NOTIFYBUDDY-STATUS:${reminder.status}`
+    );
+    if (reminder.timeZone) {
+      lines.push(`X-NOTIFYBUDDY-TIMEZONE:${reminder.timeZone}`);
+    }
+    if (reminder.recurrence) {
+      // DTSTART is the current occurrence, so COUNT only covers the occurrences left from it
+      const recurrence = reminder.recurrence.count
+        ? { ...reminder.recurrence, count: Math.max(1, reminder.recurrence.count - (Number(reminder.occurrence) || 1) + 1) }
+        : reminder.recurrence;
+      lines.push(`RRULE:${formatRRule(recurrence)}`);
+    }
+    if (reminder.tags && reminder.tags.length > 0) {
+      lines.push(`CATEGORIES:${reminder.tags.map(escapeIcsText).join(",")}`);
+    }
+    lines.push(`PRIORITY:${priorityToIcs(reminder.priority)}`);
+    if (reminder.notes) {
+      lines.push(`DESCRIPTION:${escapeIcsText(reminder.notes)}`);
+    }
+    if (reminder.url) {
+      lines.push(`URL:${reminder.url}`);
+    }
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeIcsText(reminder.text)}`,
+      "TRIGGER;RELATED=START:PT0S",
+      "END:VALARM"
+    );
+    (reminder.preAlerts || []).forEach((minutes) => {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `DESCRIPTION:${escapeIcsText(reminder.text)}`,
+        `TRIGGER;RELATED=START:${formatIcsTrigger(minutes)}`,
+        "END:VALARM"
+      );
+    });
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * Parse an iCalendar date or date-time value
+ * UTC values ("Z") are absolute; TZID values are read in that zone (as local time if the browser
+ * doesn't know it); floating values are read as local time; all-day dates get the default reminder hour
+ * @param {string} value - DTSTART/CREATED value
+ * @param {Array<string>} [params] - Property parameters (e.g., "TZID=Europe/Berlin")
+ * @returns {number|null} Timestamp in milliseconds
+ */
+function parseIcsDate(value, params = []) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined) {
+    return new Date(Number(year), Number(month) - 1, Number(day), DEFAULT_REMINDER_HOUR, 0, 0).getTime();
+  }
+
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+  if (utc) {
+    return Date.UTC(...parts);
+  }
+  const timeZone = getIcsTimeZone(params);
+  const localTime = new Date(...parts).getTime();
+  return timeZone ? fromLocalWallClock(localTime, timeZone) : localTime;
+}
+
+/**
+ * Get the time zone named by a TZID parameter
+ * @param {Array<string>} params - Property parameters
+ * @returns {string|null} IANA time zone, or null if missing or unknown
+ */
+function getIcsTimeZone(params) {
+  const param = params.find((p) => /^TZID=/i.test(p));
+  const timeZone = param ? param.slice(5).replace(/^"|"$/g, "") : null;
+  return isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+/**
+ * Parse an iCalendar file into reminders
+ * Reads VEVENT and VTODO components; reminders exported by NotifyBuddy keep their ID and status
+ * @param {string} content - File content
+ * @returns {Array} Reminder objects
+ * @throws {Error} If the file is not an iCalendar document
+ */
+function parseIcsImport(content) {
+  const unfolded = String(content).replace(/\r?\n[ \t]/g, "");
+  if (!/^BEGIN:VCALENDAR/m.test(unfolded)) {
+    throw new Error("The file is not an iCalendar (.ics) file");
+  }
+
+  const reminders = [];
+  let component = null;
+  let depth = 0;
+
+  unfolded.split(/\r?\n/).forEach((line) => {
+    const colonIndex = line.indexOf(":");
+    if (colonIndex === -1) return;
+
+    const [name, ...params] = line.slice(0, colonIndex).split(";");
+    const key = name.toUpperCase();
+    const value = line.slice(colonIndex + 1);
+
+    if (key === "BEGIN" && (value === "VEVENT" || value === "VTODO") && !component) {
+      component = { preAlerts: [] };
+      depth = 0;
+      return;
+    }
+    if (!component) return;
+
+    // Skip properties of nested components such as VALARM
+    if (key === "BEGIN") {
+      depth += 1;
+      return;
+    }
+    if (key === "END") {
+      if (depth > 0) {
+        depth -= 1;
+        return;
+      }
+      reminders.push(component);
+      component = null;
+      return;
+    }
+    if (depth === 0) {
+      component[key] = { value, params };
+    } else if (depth === 1 && key === "TRIGGER" && !params.some((param) => /^RELATED=END$/i.test(param))) {
+      // Alarms ahead of the start become pre-alerts
+      const minutes = parseIcsTrigger(value);
+      if (minutes) component.preAlerts.push(minutes);
+    }
+  });
+
+  return reminders
+    .map((props) => {
+      const start = props.DTSTART || props.DUE;
+      const scheduledTime = start ? parseIcsDate(start.value, start.params) : null;
+      const text = props.SUMMARY ? unescapeIcsText(props.SUMMARY.value).trim() : "";
+      if (!scheduledTime || !text) return null;
+
+      const uid = props.UID ? props.UID.value : "";
+      // Date-times without "Z" or TZID float: they mean the same clock time in every zone
+      const isFloating = /T\d{6}$/.test(start.value.trim()) && !getIcsTimeZone(start.params);
+      const zoneProp = props["X-NOTIFYBUDDY-TIMEZONE"];
+      const status = props["X-NOTIFYBUDDY-STATUS"] ? props["X-NOTIFYBUDDY-STATUS"].value : null;
+      let recurrence = null;
+      if (props.RRULE) {
+        try {
+          recurrence = parseRRule(props.RRULE.value);
+        } catch (error) {
+          // Rules we can't represent import as one-shot reminders
+          recurrence = null;
+        }
+      }
+
+      return {
+        id: uid.endsWith(ICS_UID_SUFFIX) ? uid.slice(0, -ICS_UID_SUFFIX.length) : generateReminderId(),
+        text,
+        scheduledTime,
+        createdAt: (props.CREATED && parseIcsDate(props.CREATED.value)) || Date.now(),
+        status: REMINDER_STATUSES.includes(status)
+          ? status
+          : props.STATUS && props.STATUS.value === "CANCELLED" ? "dismissed" : "active",
+        recurrence,
+        occurrence: 1,
+        tags: props.CATEGORIES
+          ? props.CATEGORIES.value.split(/(?<!\\),/).map((tag) => normalizeTag(unescapeIcsText(tag))).filter(Boolean)
+          : [],
+        priority: props.PRIORITY ? priorityFromIcs(props.PRIORITY.value) : DEFAULT_PRIORITY,
+        notes: props.DESCRIPTION ? unescapeIcsText(props.DESCRIPTION.value).trim() : "",
+        url: props.URL ? toImportUrl(props.URL.value) : null,
+        preAlerts: [...new Set(props.preAlerts)].sort((a, b) => b - a),
+        timeMode: isFloating ? "floating" : "fixed",
+        // Floating times were read as local time; fixed ones keep the zone they were set in
+        timeZone: (!isFloating && [zoneProp && zoneProp.value, getIcsTimeZone(start.params)].find(isValidTimeZone)) || getLocalTimeZone(),
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Match imported reminders against existing ones
+ * A reminder is a duplicate when it has the same ID, or the same text and time
+ * @param {Array} existing - Reminders already in storage
+ * @param {Array} incoming - Reminders to import
+ * @returns {Array} Entries of { reminder, duplicate } where duplicate is the matching existing reminder or null
+ */
+function findImportDuplicates(existing, incoming) {
+  return incoming.map((reminder) => {
+    const duplicate = existing.find((r) => String(r.id) === String(reminder.id))
+      || existing.find((r) => r.text.trim() === reminder.text.trim() && Number(r.scheduledTime) === Number(reminder.scheduledTime))
+      || null;
+    return { reminder, duplicate };
+  });
+}
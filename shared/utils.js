@@ -1,21 +1,33 @@
 // Shared utility functions
 
 /**
- * Format datetime for display (24-hour format)
+ * Format datetime for display, using the 12- or 24-hour clock from settings
  * @param {number} timestamp - Unix timestamp in milliseconds
- * @returns {string} Formatted date string (e.g., "15 Jan 2024 • 14:30")
+ * @returns {string} Formatted date string (e.g., "15 Jan 2024 • 14:30" or "15 Jan 2024 • 2:30 PM")
  */
 function formatDateTime(timestamp) {
   const date = new Date(timestamp);
   const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
   const day = String(date.getDate()).padStart(2, '0');
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
   
   const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
   
-  return `${day} ${monthNames[date.getMonth()]} ${year} • ${hours}:${minutes}`;
+  return `${day} ${monthNames[date.getMonth()]} ${year} • ${formatTimeOfDay(date)}`;
+}
+
+/**
+ * Format the time of day, using the 12- or 24-hour clock from settings
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted time (e.g., "14:30" or "2:30 PM")
+ */
+function formatTimeOfDay(date) {
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  
+  if (currentSettings.timeFormat === "12h") {
+    const hours = date.getHours() % 12 || 12;
+    return `${hours}:${minutes} ${date.getHours() < 12 ? "AM" : "PM"}`;
+  }
+  return `${String(date.getHours()).padStart(2, '0')}:${minutes}`;
 }
 
 /**
@@ -32,10 +44,10 @@ function formatDateOnly(timestamp) {
 /**
  * Get relative time string (e.g., "in 5 minutes", "2 hours ago")
  * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {number} [now] - Timestamp to count from (defaults to the current time)
  * @returns {string} Relative time string
  */
-function getRelativeTime(timestamp) {
-  const now = Date.now();
+function getRelativeTime(timestamp, now = Date.now()) {
   const diff = timestamp - now;
   const absDiff = Math.abs(diff);
   const minutes = Math.floor(absDiff / (1000 * 60));
@@ -53,39 +65,123 @@ function getRelativeTime(timestamp) {
   }
 }
 
+/**
+ * Format a duration in minutes for display (e.g., "10 min", "1 hour", "2 days")
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Formatted duration
+ */
+function formatDuration(minutes) {
+  if (minutes % (60 * 24) === 0) {
+    const days = minutes / (60 * 24);
+    return `${days} day${days > 1 ? "s" : ""}`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours > 1 ? "s" : ""}`;
+  }
+  return `${minutes} min`;
+}
+
+const PRE_ALERT_UNIT_MINUTES = { m: 1, min: 1, h: 60, hr: 60, hour: 60, d: 24 * 60, day: 24 * 60, w: 7 * 24 * 60, week: 7 * 24 * 60 };
+const MAX_PRE_ALERT_MINUTES = 30 * 24 * 60;
+
+/**
+ * Parse a comma separated list of pre-alert offsets
+ * Each offset is a number with an optional unit (m, h, d, w); bare numbers are minutes
+ * @param {string} value - Input value (e.g., "1d, 1h, 10m")
+ * @returns {Array<number>} Offsets in minutes, largest first, de-duplicated
+ * @throws {Error} If an offset can't be understood or is out of range
+ */
+function parsePreAlerts(value) {
+  const parts = String(value || "")
+    .split(",")
+    .map((part) => part.trim().toLowerCase())
+    .filter((part) => part.length > 0);
+  
+  const minutes = parts.map((part) => {
+    const match = part.match(/^(\d+)\s*([a-z]*?)s?(?:\s+before)?$/);
+    const unit = match && (match[2] || "m");
+    if (!match || !PRE_ALERT_UNIT_MINUTES[unit]) {
+      throw new Error(`Invalid pre-alert "${part}". Use values like 10m, 1h or 1d`);
+    }
+    
+    const total = Number(match[1]) * PRE_ALERT_UNIT_MINUTES[unit];
+    if (total < 1 || total > MAX_PRE_ALERT_MINUTES) {
+      throw new Error("Pre-alerts must be between 1 minute and 30 days before");
+    }
+    return total;
+  });
+  
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+/**
+ * Format pre-alert offsets for an input field (e.g., "1d, 1h, 10m")
+ * @param {Array<number>} preAlerts - Offsets in minutes
+ * @returns {string} Formatted offsets
+ */
+function formatPreAlerts(preAlerts) {
+  return (preAlerts || [])
+    .map((minutes) => {
+      if (minutes % (7 * 24 * 60) === 0) return `${minutes / (7 * 24 * 60)}w`;
+      if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)}d`;
+      if (minutes % 60 === 0) return `${minutes / 60}h`;
+      return `${minutes}m`;
+    })
+    .join(", ");
+}
+
 /**
  * Get minimum datetime for datetime-local input (now + 1 minute)
- * @returns {string} ISO datetime string (YYYY-MM-DDTHH:mm)
+ * datetime-local inputs take local time, so this must not use toISOString (UTC)
+ * @returns {string} Local datetime string (YYYY-MM-DDTHH:mm)
  */
 function getMinDateTime() {
-  const now = new Date();
-  now.setMinutes(now.getMinutes() + 1);
-  return now.toISOString().slice(0, 16);
+  return formatDateTimeLocal(Date.now() + 60 * 1000);
 }
 
 /**
- * Get datetime for next hour (+1 hour from now, rounded to hour)
+ * Get the default reminder time for the quick button
+ * Whole-hour offsets land on the hour (1 hour at 14:20 gives 15:00); other offsets round up to 5 minutes
  * Returns in local time format for datetime-local input
+ * @param {number} [offsetMinutes] - Offset from now (defaults to the setting)
  * @returns {string} Local datetime string (YYYY-MM-DDTHH:mm)
  */
-function getNextHourDateTime() {
-  const now = new Date();
+function getDefaultReminderDateTime(offsetMinutes = currentSettings.defaultOffsetMinutes) {
+  const date = new Date(Date.now() + offsetMinutes * 60 * 1000);
+  date.setSeconds(0);
+  date.setMilliseconds(0);
   
-  // Add 1 hour (3600000 milliseconds) to current time
-  const nextHourDate = new Date(now.getTime() + 60 * 60 * 1000);
-  
-  // Round to the next hour (set minutes, seconds, milliseconds to 0)
-  nextHourDate.setMinutes(0);
-  nextHourDate.setSeconds(0);
-  nextHourDate.setMilliseconds(0);
-  
-  // Format for datetime-local input (YYYY-MM-DDTHH:mm in local time)
-  const year = nextHourDate.getFullYear();
-  const month = String(nextHourDate.getMonth() + 1).padStart(2, '0');
-  const day = String(nextHourDate.getDate()).padStart(2, '0');
-  const hours = String(nextHourDate.getHours()).padStart(2, '0');
-  const minutes = String(nextHourDate.getMinutes()).padStart(2, '0');
+  if (offsetMinutes % 60 === 0) {
+    date.setMinutes(0);
+  } else {
+    date.setMinutes(Math.ceil(date.getMinutes() / 5) * 5);
+  }
   
+  return formatDateTimeLocal(date.getTime());
+}
+
+/**
+ * Get the label for the quick button (e.g., "Set to Next Hour", "In 30 min")
+ * @param {number} [offsetMinutes] - Offset from now (defaults to the setting)
+ * @returns {string} Button label
+ */
+function getDefaultReminderLabel(offsetMinutes = currentSettings.defaultOffsetMinutes) {
+  return offsetMinutes === 60 ? "Set to Next Hour" : `In ${formatDuration(offsetMinutes)}`;
+}
+
+/**
+ * Format datetime for datetime-local input (local time)
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {string} Local datetime string (YYYY-MM-DDTHH:mm)
+ */
+function formatDateTimeLocal(timestamp) {
+  const date = new Date(timestamp);
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
   return `${year}-${month}-${day}T${hours}:${minutes}`;
 }
 
@@ -132,3 +228,328 @@ function validateFutureDateTime(dateTimeString) {
   return { valid: true };
 }
 
+/**
+ * Normalize a link attached to a reminder
+ * Adds "https://" when no scheme is given; only http and https links are allowed
+ * @param {string} input - Link as typed or captured from a tab
+ * @returns {string|null} Absolute URL, or null if the input is empty
+ * @throws {Error} If the link is not a web address
+ */
+function normalizeReminderUrl(input) {
+  const value = String(input || "").trim();
+  if (!value) return null;
+  
+  const candidate = /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`;
+  let url;
+  try {
+    url = new URL(candidate);
+  } catch (error) {
+    throw new Error(`"${value}" is not a valid link`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error("Only http and https links can be attached to a reminder");
+  }
+  return url.href;
+}
+
+/**
+ * Get a short label for a link (host name without "www.")
+ * @param {string} url - Absolute URL
+ * @returns {string} Host name
+ */
+function getUrlLabel(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch (error) {
+    return url;
+  }
+}
+
+
+const NATURAL_WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const NATURAL_MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const NATURAL_MONTH_PATTERN = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const NATURAL_PERIODS = { morning: 9, afternoon: 15, evening: 18, tonight: 20 };
+const DEFAULT_REMINDER_HOUR = 9;
+
+/**
+ * Parse a natural-language date/time phrase out of reminder text
+ * Understands phrases such as "tomorrow at 3pm", "in 45 minutes", "next friday 9:00",
+ * "on Nov 3", "tonight" and "every monday 10am"
+ * @param {string} input - Reminder text typed by the user
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @returns {Object|null} { scheduledTime, text, phrase, recurrence } or null if no phrase was found
+ */
+function parseNaturalDateTime(input, now = new Date()) {
+  if (!input || typeof input !== "string") return null;
+
+  let remaining = ` ${input} `;
+  const phrases = [];
+
+  // Remove the first match of a pattern from the text and return it
+  const take = (pattern) => {
+    const match = pattern.exec(remaining);
+    if (!match) return null;
+    remaining = `${remaining.slice(0, match.index)} ${remaining.slice(match.index + match[0].length)}`;
+    phrases.push(match[0].trim());
+    return match;
+  };
+
+  // A month and day only count as a date after "on", at either end of the text or next to a time
+  // somewhere in it, so "Ask Jan 5 questions" or "Call mar 3 times" keep their words
+  const hasExplicitTime = /\b\d{1,2}(?::[0-5]\d)?\s*(?:am|pm)\b|\b(?:[01]?\d|2[0-3]):[0-5]\d\b|\bat\s+(?:\d{1,2}|noon|midnight)\b/i.test(input);
+  const takeCalendarDate = (body) => (
+    take(new RegExp(`\\bon\\s+${body}`, "i")) ||
+    take(new RegExp(`^\\s*${body}`, "i")) ||
+    take(new RegExp(`\\b${body}(?=[\\s.!?]*$)`, "i")) ||
+    (hasExplicitTime ? take(new RegExp(`\\b${body}`, "i")) : null)
+  );
+
+  const relative = take(/\bin\s+(an?|half an|\d+(?:\.\d+)?)\s*(minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|w)\b/i);
+  const repeat = take(new RegExp(`\\b(?:every\\s+(day|weekday|week|month|${NATURAL_WEEKDAYS.join("|")})|(daily|weekly|monthly))\\b`, "i"));
+  const dayWord = take(/\b(day after tomorrow|tomorrow|today|tonight)\b/i);
+  const weekday = take(new RegExp(`\\b(?:(next|this|on)\\s+)?(${NATURAL_WEEKDAYS.join("|")})\\b`, "i"));
+  const isoDate = take(/\b(?:on\s+)?(\d{4})-(\d{2})-(\d{2})\b/);
+  const monthDay = isoDate ? null : takeCalendarDate(`${NATURAL_MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`);
+  const dayMonth = isoDate || monthDay ? null : takeCalendarDate(`(\\d{1,2})(?:st|nd|rd|th)?\\s+${NATURAL_MONTH_PATTERN}\\b`);
+  const meridiemTime = take(/\b(?:at\s+)?(\d{1,2})(?::([0-5]\d))?\s*(am|pm)\b/i);
+  const clockTime = meridiemTime ? null : take(/\b(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/);
+  const bareTime = meridiemTime || clockTime ? null : take(/\bat\s+([01]?\d|2[0-3])\b/i);
+  const namedTime = take(/\b(?:at\s+)?(noon|midnight)\b/i);
+  const period = take(/\b(?:in the\s+)?(morning|afternoon|evening)\b/i);
+
+  if (phrases.length === 0) return null;
+
+  // Resolve the time of day, if one was given
+  let hours = null;
+  let minutes = 0;
+  if (meridiemTime) {
+    hours = Number(meridiemTime[1]) % 12 + (meridiemTime[3].toLowerCase() === "pm" ? 12 : 0);
+    minutes = Number(meridiemTime[2] || 0);
+  } else if (clockTime) {
+    hours = Number(clockTime[1]);
+    minutes = Number(clockTime[2]);
+  } else if (bareTime) {
+    // "at 3" almost always means the afternoon
+    hours = Number(bareTime[1]) < 8 ? Number(bareTime[1]) + 12 : Number(bareTime[1]);
+  } else if (namedTime) {
+    hours = namedTime[1].toLowerCase() === "noon" ? 12 : 0;
+  } else if (period) {
+    hours = NATURAL_PERIODS[period[1].toLowerCase()];
+  } else if (dayWord && dayWord[1].toLowerCase() === "tonight") {
+    hours = NATURAL_PERIODS.tonight;
+  }
+
+  const at = (date, h, m) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), h, m, 0, 0);
+  const nextWeekday = (index, allowToday) => {
+    const ahead = (index - now.getDay() + 7) % 7;
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() + (ahead === 0 && !allowToday ? 7 : ahead));
+  };
+
+  let scheduled = null;
+  let recurrence = null;
+
+  if (relative) {
+    const unit = relative[2].toLowerCase()[0];
+    const word = relative[1].toLowerCase();
+    const amount = word === "half an" ? 0.5 : word === "a" || word === "an" ? 1 : Number(relative[1]);
+    const unitMinutes = { m: 1, h: 60, d: 60 * 24, w: 60 * 24 * 7 }[unit];
+    scheduled = new Date(now.getTime() + Math.round(amount * unitMinutes * 60 * 1000));
+    if ((unit === "d" || unit === "w") && hours !== null) {
+      scheduled = at(scheduled, hours, minutes);
+    }
+  } else {
+    const timeOfDay = hours !== null ? [hours, minutes] : [DEFAULT_REMINDER_HOUR, 0];
+    let date = null;
+    let allowRollover = false;
+
+    if (isoDate) {
+      date = new Date(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3]));
+    } else if (monthDay || dayMonth) {
+      const monthName = (monthDay ? monthDay[1] : dayMonth[2]).toLowerCase().slice(0, 3);
+      const day = Number(monthDay ? monthDay[2] : dayMonth[1]);
+      date = new Date(now.getFullYear(), NATURAL_MONTHS.indexOf(monthName), day);
+      if (at(date, ...timeOfDay) <= now) {
+        date.setFullYear(date.getFullYear() + 1);
+      }
+    } else if (dayWord) {
+      const word = dayWord[1].toLowerCase();
+      const offset = word === "tomorrow" ? 1 : word === "day after tomorrow" ? 2 : 0;
+      date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    } else if (weekday) {
+      date = nextWeekday(NATURAL_WEEKDAYS.indexOf(weekday[2].toLowerCase()), false);
+    }
+
+    if (repeat) {
+      const unit = (repeat[1] || repeat[2]).toLowerCase();
+      const weekdayIndex = NATURAL_WEEKDAYS.indexOf(unit);
+      if (weekdayIndex >= 0) {
+        recurrence = { freq: "weekly", interval: 1, byWeekday: [weekdayIndex], until: null, count: null };
+        date = date || nextWeekday(weekdayIndex, true);
+      } else if (unit === "weekday") {
+        recurrence = { freq: "weekly", interval: 1, byWeekday: [1, 2, 3, 4, 5], until: null, count: null };
+      } else {
+        const freq = { day: "daily", daily: "daily", week: "weekly", weekly: "weekly", month: "monthly", monthly: "monthly" }[unit];
+        recurrence = { freq, interval: 1, byWeekday: null, until: null, count: null };
+      }
+      allowRollover = true;
+    }
+
+    if (!date) {
+      // A bare time means the next time the clock shows it
+      date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      allowRollover = true;
+    }
+
+    scheduled = at(date, ...timeOfDay);
+
+    if (allowRollover) {
+      while (scheduled <= now || (recurrence && recurrence.byWeekday && !recurrence.byWeekday.includes(scheduled.getDay()))) {
+        scheduled = at(new Date(scheduled.getFullYear(), scheduled.getMonth(), scheduled.getDate() + 1), ...timeOfDay);
+      }
+    }
+
+    if (recurrence && recurrence.freq === "weekly" && !recurrence.byWeekday) {
+      recurrence.byWeekday = [scheduled.getDay()];
+    }
+  }
+
+  const text = remaining
+    .replace(/\s+/g, " ")
+    .replace(/^\s*(?:at|on|by|in)\s+/i, "")
+    .replace(/\s+(?:at|on|by|in)\s*$/i, "")
+    .replace(/\s+([,.!?])/g, "$1")
+    .replace(/^[\s,]+|[\s,]+$/g, "");
+
+  return {
+    scheduledTime: scheduled.getTime(),
+    text,
+    phrase: phrases.join(" "),
+    recurrence,
+  };
+}
+
+/**
+ * Resolve a quick-pick preset to a time
+ * Presets are relative ("+15m", "+1h", "+2d", "+1w") or anchored natural-language phrases
+ * ("Tonight 20:00", "Tomorrow 09:00", "Next Monday 09:00")
+ * @param {string} expression - Preset expression
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @returns {number} Timestamp in milliseconds
+ * @throws {Error} If the preset can't be understood
+ */
+function resolvePresetTime(expression, now = new Date()) {
+  const value = String(expression || "").trim();
+  const relative = /^\+\s*(\d+)\s*(m|h|d|w)$/i.exec(value);
+  if (relative) {
+    const unitMinutes = { m: 1, h: 60, d: 60 * 24, w: 60 * 24 * 7 }[relative[2].toLowerCase()];
+    return now.getTime() + Number(relative[1]) * unitMinutes * 60 * 1000;
+  }
+  
+  const parsed = parseNaturalDateTime(value, now);
+  if (!parsed || parsed.text || parsed.recurrence) {
+    throw new Error(`Invalid preset "${value}". Use e.g. +15m, +1h, Tonight 20:00 or Tomorrow 09:00`);
+  }
+  return parsed.scheduledTime;
+}
+
+/**
+ * Describe a quick-pick preset for a menu, e.g. "+1h" becomes "In 1 hour"
+ * @param {string} expression - Preset expression
+ * @returns {string} Description (anchored presets are shown as written)
+ */
+function describePreset(expression) {
+  const value = String(expression || "").trim();
+  const relative = /^\+\s*(\d+)\s*(m|h|d|w)$/i.exec(value);
+  if (!relative) {
+    return value;
+  }
+  const unitMinutes = { m: 1, h: 60, d: 60 * 24, w: 60 * 24 * 7 }[relative[2].toLowerCase()];
+  return `In ${formatDuration(Number(relative[1]) * unitMinutes)}`;
+}
+
+/**
+ * Render quick-pick preset chips
+ * Each chip shows its resolved time on hover; presets that resolve to the past are disabled.
+ * The time is resolved again on click, so a chip left open for a while stays accurate.
+ * @param {HTMLElement} container - Element to render the chips into
+ * @param {Array<string>} presets - Preset expressions
+ * @param {Function} onPick - Receives (scheduledTime, preset) when a chip is clicked
+ */
+function renderPresetChips(container, presets, onPick) {
+  container.innerHTML = "";
+  container.style.display = presets.length > 0 ? "" : "none";
+  
+  presets.forEach((preset) => {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "preset-chip";
+    chip.textContent = preset;
+    
+    try {
+      const scheduledTime = resolvePresetTime(preset);
+      chip.disabled = scheduledTime <= Date.now();
+      chip.title = chip.disabled ? `${formatDateTime(scheduledTime)} has passed` : formatDateTime(scheduledTime);
+    } catch (error) {
+      chip.disabled = true;
+      chip.title = error.message;
+    }
+    
+    chip.addEventListener("click", () => {
+      onPick(resolvePresetTime(preset), preset);
+    });
+    container.appendChild(chip);
+  });
+}
+
+/**
+ * Wire natural-language parsing into a reminder form
+ * Typing a phrase fills the datetime input and shows a preview; the phrase is only
+ * stripped from the text on submit, and only while the datetime still holds the parsed value.
+ * @param {Object} elements - { textInput, datetimeInput, preview }
+ * @returns {Object} { resolve(), reset() } - resolve returns { text, recurrence } for submission
+ */
+function bindNaturalLanguageInput({ textInput, datetimeInput, preview }) {
+  let parsed = null;
+  let filledValue = null;
+
+  const update = () => {
+    const result = parseNaturalDateTime(textInput.value);
+    parsed = result && result.scheduledTime > Date.now() ? result : null;
+
+    if (!parsed) {
+      preview.style.display = "none";
+      preview.textContent = "";
+      return;
+    }
+
+    // Don't overwrite a time the user picked by hand
+    if (!datetimeInput.value || datetimeInput.value === filledValue) {
+      filledValue = formatDateTimeLocal(parsed.scheduledTime);
+      datetimeInput.value = filledValue;
+    }
+
+    const repeats = parsed.recurrence ? ` • ${describeRecurrence(parsed.recurrence)}` : "";
+    const label = parsed.text ? ` — "${parsed.text}"` : "";
+    preview.textContent = `📅 ${formatDateTime(parsed.scheduledTime)} (${getRelativeTime(parsed.scheduledTime)})${repeats}${label}`;
+    preview.style.display = "block";
+  };
+
+  textInput.addEventListener("input", update);
+
+  return {
+    resolve() {
+      const useParsed = parsed && datetimeInput.value === filledValue;
+      return {
+        text: useParsed && parsed.text ? parsed.text : textInput.value.trim(),
+        recurrence: useParsed ? parsed.recurrence : null,
+      };
+    },
+    reset() {
+      parsed = null;
+      filledValue = null;
+      preview.style.display = "none";
+      preview.textContent = "";
+    },
+  };
+}